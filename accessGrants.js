@@ -0,0 +1,210 @@
+// accessGrants.js - Time-limited delegated access grants stored in a repository's configuration
+//
+// A grant gives a pubkey (or whoever redeems a one-time share token) temporary
+// access to a repository, optionally limited to a path prefix:
+//
+//   grants: [
+//     { id, pubkey: 'npub1...', access: 'read-only', path: 'labs', expiresAt, createdAt, createdBy }
+//     { id, pubkey: null, secretHash, access: 'read-only', path: null, expiresAt, ... }  // share link
+//   ]
+const crypto = require('crypto');
+const path = require('path');
+
+// Access levels that can be delegated; admin access is never granted temporarily
+const GRANTABLE_ACCESS = ['read-write', 'read-only'];
+
+// Longest a grant may last, in seconds (90 days)
+const MAX_GRANT_DURATION = 90 * 24 * 60 * 60;
+
+/**
+ * Hashes a share token so only its digest is stored
+ * @param {string} secret - Share token
+ * @returns {string} - Hex encoded SHA-256 digest
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Normalizes a path prefix so it always names a directory or file from the repository root
+ * @param {string|null} prefix - e.g. "/labs" or "labs/"
+ * @returns {string|null} - e.g. "labs" or null for the whole repository
+ */
+function normalizePathPrefix(prefix) {
+  if (!prefix) {
+    return null;
+  }
+  const normalized = path.posix.normalize(prefix.replace(/^\/+/, ''));
+  return normalized === '.' ? null : normalized;
+}
+
+/**
+ * Checks whether a repository path falls inside a grant's path prefix
+ * @param {string|null} prefix - Grant path prefix, or null for the whole repository
+ * @param {string} filePath - Path within the repository
+ * @returns {boolean} - True if the path may be accessed
+ */
+function isPathAllowed(prefix, filePath) {
+  if (!prefix) {
+    return true;
+  }
+  const target = path.posix.normalize((filePath || '').replace(/^\/+/, '') || '.');
+  const base = prefix.replace(/\/$/, '');
+  return target === base || target.startsWith(`${base}/`);
+}
+
+/**
+ * Checks whether a path should be shown to a grant holder while browsing: either it is
+ * inside the grant's prefix or it is a directory on the way to it
+ * @param {string|null} prefix - Grant path prefix, or null for the whole repository
+ * @param {string} filePath - Path within the repository
+ * @returns {boolean} - True if the path may be listed
+ */
+function isPathVisible(prefix, filePath) {
+  if (isPathAllowed(prefix, filePath)) {
+    return true;
+  }
+  const target = path.posix.normalize((filePath || '').replace(/^\/+/, '') || '.');
+  return target === '.' || prefix.startsWith(`${target}/`);
+}
+
+/**
+ * Lists grants that have not expired
+ * @param {Object} repoConfig - Repository configuration
+ * @returns {Array<Object>} - Active grants
+ */
+function activeGrants(repoConfig) {
+  const now = Date.now();
+  return ((repoConfig && repoConfig.grants) || []).filter(grant => Date.parse(grant.expiresAt) > now);
+}
+
+/**
+ * Finds an active grant by id
+ * @param {Object} repoConfig - Repository configuration
+ * @param {string} grantId - Grant id
+ * @returns {Object|null} - The grant, or null if it expired or was revoked
+ */
+function findActiveGrant(repoConfig, grantId) {
+  return activeGrants(repoConfig).find(grant => grant.id === grantId) || null;
+}
+
+/**
+ * Finds the most privileged active grant held by a pubkey
+ * @param {Object} repoConfig - Repository configuration
+ * @param {string} npub - Bech32 public key
+ * @returns {Object|null} - The grant, or null if the key holds none
+ */
+function findGrantForPubkey(repoConfig, npub) {
+  return activeGrants(repoConfig)
+    .filter(grant => grant.pubkey === npub)
+    .sort((a, b) => GRANTABLE_ACCESS.indexOf(a.access) - GRANTABLE_ACCESS.indexOf(b.access))[0] || null;
+}
+
+/**
+ * Finds the unredeemed share grant matching a share token
+ * @param {Object} repoConfig - Repository configuration
+ * @param {string} secret - Share token
+ * @returns {Object|null} - The grant, or null if the token is unknown, used or expired
+ */
+function findShareGrant(repoConfig, secret) {
+  if (typeof secret !== 'string' || secret.length === 0) {
+    return null;
+  }
+  const secretHash = hashSecret(secret);
+  return activeGrants(repoConfig).find(grant => !grant.pubkey && grant.secretHash === secretHash) || null;
+}
+
+/**
+ * Returns a copy of a repository configuration with a new grant and expired ones dropped
+ * @param {Object} repoConfig - Repository configuration
+ * @param {Object} options - Grant options
+ * @param {string|null} options.pubkey - Bech32 public key, or null to create a share token
+ * @param {string} options.access - Access level to grant
+ * @param {string|null} options.path - Optional path prefix
+ * @param {number} options.expiresIn - Lifetime in seconds
+ * @param {string} options.createdBy - Hex pubkey of the admin creating the grant
+ * @returns {Object} - { repoConfig, grant, shareToken } where shareToken is only set for share grants
+ */
+function addGrant(repoConfig, { pubkey, access, path: pathPrefix, expiresIn, createdBy }) {
+  const now = Date.now();
+  const grant = {
+    id: crypto.randomBytes(8).toString('hex'),
+    pubkey: pubkey || null,
+    access,
+    path: normalizePathPrefix(pathPrefix),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + expiresIn * 1000).toISOString(),
+    createdBy
+  };
+
+  let shareToken = null;
+  if (!pubkey) {
+    shareToken = crypto.randomBytes(24).toString('base64url');
+    grant.secretHash = hashSecret(shareToken);
+  }
+
+  return {
+    repoConfig: { ...repoConfig, grants: [...activeGrants(repoConfig), grant] },
+    grant,
+    shareToken
+  };
+}
+
+/**
+ * Returns a copy of a repository configuration with a share grant bound to the key that redeemed it
+ * @param {Object} repoConfig - Repository configuration
+ * @param {string} grantId - Grant id
+ * @param {string} npub - Bech32 public key redeeming the grant
+ * @returns {Object} - Updated repository configuration
+ */
+function redeemShareGrant(repoConfig, grantId, npub) {
+  return {
+    ...repoConfig,
+    grants: activeGrants(repoConfig).map(grant => {
+      if (grant.id !== grantId) {
+        return grant;
+      }
+      const { secretHash, ...redeemed } = grant;
+      return { ...redeemed, pubkey: npub, redeemedAt: new Date().toISOString() };
+    })
+  };
+}
+
+/**
+ * Returns a copy of a repository configuration without a grant (and without expired ones)
+ * @param {Object} repoConfig - Repository configuration
+ * @param {string} grantId - Grant id
+ * @returns {Object} - Updated repository configuration
+ */
+function removeGrant(repoConfig, grantId) {
+  return {
+    ...repoConfig,
+    grants: activeGrants(repoConfig).filter(grant => grant.id !== grantId)
+  };
+}
+
+/**
+ * Strips secrets from a grant before it is returned by the API
+ * @param {Object} grant - Stored grant
+ * @returns {Object} - Grant safe to send to clients
+ */
+function publicGrant(grant) {
+  const { secretHash, ...rest } = grant;
+  return { ...rest, type: secretHash ? 'share' : 'pubkey' };
+}
+
+module.exports = {
+  GRANTABLE_ACCESS,
+  MAX_GRANT_DURATION,
+  normalizePathPrefix,
+  isPathAllowed,
+  isPathVisible,
+  activeGrants,
+  findActiveGrant,
+  findGrantForPubkey,
+  findShareGrant,
+  addGrant,
+  redeemShareGrant,
+  removeGrant,
+  publicGrant
+};
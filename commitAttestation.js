@@ -0,0 +1,169 @@
+// commitAttestation.js - Verifies nostr-signed attestations of MGit commits
+//
+// The Pubkey of a mapping entry is only a claim made by whoever wrote the mappings file. An
+// attestation backs it up: a nostr event, signed by the author, that names the commit and its
+// MGit hash. It is stored next to the entry it attests:
+//
+//   {
+//     kind: 3617,
+//     tags: [['commit', '<git hash>'], ['mgit', '<MGit hash>']],
+//     content: '<optional note>',
+//     pubkey, created_at, id, sig
+//   }
+const { verifyEvent, validateEvent, nip19 } = require('nostr-tools');
+
+// Event kind of commit attestations
+const ATTESTATION_KIND = 3617;
+
+// Most verification results kept in the cache; the oldest entries are dropped first
+const VERIFICATION_CACHE_MAX = 50000;
+
+// mapping key -> verifyCommit result, in the order the entries were stored. A result only
+// depends on the mapping entry and its signed event, so entries never go stale.
+const verificationCache = new Map();
+
+/**
+ * Reads the value of the first tag with a name
+ * @param {Object} event - Nostr event
+ * @param {string} name - Tag name
+ * @returns {string|null} - Tag value, or null if the event has no such tag
+ */
+function tagValue(event, name) {
+  const tag = Array.isArray(event.tags) ? event.tags.find(entry => Array.isArray(entry) && entry[0] === name) : null;
+  return tag && typeof tag[1] === 'string' ? tag[1] : null;
+}
+
+/**
+ * Converts a pubkey recorded in a mapping to hex, which may be stored as npub or hex
+ * @param {string} pubkey - npub or hex pubkey
+ * @returns {string|null} - Lowercase hex pubkey, or null if it cannot be decoded
+ */
+function pubkeyToHex(pubkey) {
+  if (!pubkey) {
+    return null;
+  }
+  try {
+    return pubkey.startsWith('npub1') ? nip19.decode(pubkey).data : pubkey.toLowerCase();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Builds the unsigned event a client signs to attest a commit
+ * @param {string} gitHash - Git commit hash
+ * @param {string} mgitHash - MGit hash of the commit
+ * @param {string} content - Optional note
+ * @returns {Object} - Event template for finalizeEvent or a NIP-07 signer
+ */
+function buildAttestation(gitHash, mgitHash, content = '') {
+  return {
+    kind: ATTESTATION_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['commit', gitHash.toLowerCase()], ['mgit', mgitHash]],
+    content
+  };
+}
+
+/**
+ * Checks an attestation event against the commit and MGit hash it should cover,
+ * without looking at who signed it
+ * @param {Object} event - Attestation event
+ * @param {string} gitHash - Full git commit hash
+ * @param {string} mgitHash - MGit hash recorded for the commit
+ * @returns {string|null} - Why the event is invalid, or null if it is valid
+ */
+function checkAttestation(event, gitHash, mgitHash) {
+  if (!event || typeof event !== 'object' || !validateEvent(event)) {
+    return 'Attestation is not a well-formed nostr event';
+  }
+  if (event.kind !== ATTESTATION_KIND) {
+    return `Attestation has kind ${event.kind}, expected ${ATTESTATION_KIND}`;
+  }
+  if (!verifyEvent(event)) {
+    return 'Attestation signature does not verify';
+  }
+
+  const commit = (tagValue(event, 'commit') || '').toLowerCase();
+  if (commit !== gitHash.toLowerCase()) {
+    return commit ? `Attestation is for commit ${commit}` : 'Attestation does not name a commit';
+  }
+  const attested = tagValue(event, 'mgit');
+  if (!attested || attested !== mgitHash) {
+    return attested ? `Attestation is for MGit hash ${attested}` : 'Attestation does not name an MGit hash';
+  }
+  return null;
+}
+
+/**
+ * Builds the cache key of a mapping entry with an attestation. The event id and signature pin
+ * the attestation; the rest is what it is checked against.
+ * @param {string} gitHash - Full git commit hash
+ * @param {Object} mapping - { GitHash, MGitHash, Pubkey, Attestation } entry
+ * @returns {string|null} - Cache key, or null if the attestation has no id or signature to key on
+ */
+function verificationKey(gitHash, mapping) {
+  const { id, sig } = mapping.Attestation;
+  if (typeof id !== 'string' || typeof sig !== 'string') {
+    return null;
+  }
+  return [gitHash.toLowerCase(), mapping.MGitHash, mapping.Pubkey, id, sig].join(':');
+}
+
+/**
+ * Checks a mapping entry's attestation and that it is signed by the mapped key
+ * @param {string} gitHash - Full git commit hash
+ * @param {Object} mapping - { GitHash, MGitHash, Pubkey, Attestation } entry with an attestation
+ * @returns {Object} - { status: 'verified'|'invalid', reason, signer }
+ */
+function checkMapping(gitHash, mapping) {
+  const problem = checkAttestation(mapping.Attestation, gitHash, mapping.MGitHash);
+  if (problem) {
+    return { status: 'invalid', reason: problem, signer: null };
+  }
+
+  const signer = mapping.Attestation.pubkey;
+  const claimed = pubkeyToHex(mapping.Pubkey);
+  if (claimed !== signer) {
+    return { status: 'invalid', reason: `Attestation is signed by ${signer}, not the mapped key ${mapping.Pubkey}`, signer: null };
+  }
+  return { status: 'verified', reason: `Signed by ${signer}`, signer };
+}
+
+/**
+ * Works out the verification status of a commit from its mapping entry. Results for signed
+ * attestations are cached, so listings don't check the same signatures on every request.
+ * @param {string} gitHash - Full git commit hash
+ * @param {Object|null} mapping - { GitHash, MGitHash, Pubkey, Attestation } entry, if there is one
+ * @returns {Object} - { status: 'verified'|'unverified'|'invalid', reason, signer } where signer
+ *   is the hex pubkey of a verified attestation
+ */
+function verifyCommit(gitHash, mapping) {
+  if (!mapping || !mapping.MGitHash) {
+    return { status: 'unverified', reason: 'No MGit mapping for this commit', signer: null };
+  }
+  if (!mapping.Attestation) {
+    return { status: 'unverified', reason: 'No signed attestation', signer: null };
+  }
+
+  const key = verificationKey(gitHash, mapping);
+  if (key && verificationCache.has(key)) {
+    return { ...verificationCache.get(key) };
+  }
+
+  const result = checkMapping(gitHash, mapping);
+  if (key) {
+    verificationCache.set(key, result);
+    while (verificationCache.size > VERIFICATION_CACHE_MAX) {
+      verificationCache.delete(verificationCache.keys().next().value);
+    }
+  }
+  return { ...result };
+}
+
+module.exports = {
+  ATTESTATION_KIND,
+  buildAttestation,
+  checkAttestation,
+  verifyCommit
+};
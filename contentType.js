@@ -0,0 +1,148 @@
+// contentType.js - Content type detection for files served from repositories
+const path = require('path');
+
+// How much of a file is inspected, matching git's own binary heuristic
+const SNIFF_LENGTH = 8000;
+
+// Signatures checked against the start of a file
+const MAGIC_NUMBERS = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/bmp', bytes: [0x42, 0x4d] },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: 'application/x-rar-compressed', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { type: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { type: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { type: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { type: 'audio/flac', bytes: [0x66, 0x4c, 0x61, 0x43] }
+];
+
+// Office documents are zip files, so the extension decides which one
+const ZIP_BASED = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.jar': 'application/java-archive'
+};
+
+// Text formats worth naming; any other text is served as text/plain
+const TEXT_TYPES = {
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.hl7': 'application/hl7-v2'
+};
+
+/**
+ * Checks whether a buffer starts with the given bytes
+ * @param {Buffer} buffer - Data to check
+ * @param {Array<number>} bytes - Expected bytes
+ * @param {number} offset - Where the signature starts
+ * @returns {boolean} - True if the signature matches
+ */
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Identifies formats whose signature is not at the start of the file
+ * @param {Buffer} head - First bytes of the file
+ * @returns {string|null} - Content type, or null if none matched
+ */
+function sniffContainer(head) {
+  // RIFF containers name their format at offset 8
+  if (startsWith(head, [0x52, 0x49, 0x46, 0x46])) {
+    const format = head.toString('ascii', 8, 12);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+    if (format === 'AVI ') return 'video/x-msvideo';
+  }
+
+  // ISO media files carry an "ftyp" box at offset 4
+  if (head.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = head.toString('ascii', 8, 12);
+    if (brand.startsWith('heic') || brand.startsWith('heix')) return 'image/heic';
+    if (brand.startsWith('avif')) return 'image/avif';
+    if (brand.startsWith('qt')) return 'video/quicktime';
+    return 'video/mp4';
+  }
+
+  // DICOM files have a 128 byte preamble followed by "DICM"
+  if (head.toString('ascii', 128, 132) === 'DICM') {
+    return 'application/dicom';
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether data looks binary: it contains a NUL byte or is not valid UTF-8
+ * @param {Buffer} head - First bytes of the file
+ * @returns {boolean} - True if the data should not be shown as text
+ */
+function isBinaryContent(head) {
+  const sample = head.slice(0, SNIFF_LENGTH);
+  if (sample.includes(0)) {
+    return true;
+  }
+
+  try {
+    // A multi-byte character may be cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample.length === SNIFF_LENGTH ? sample.slice(0, -3) : sample);
+    return false;
+  } catch (err) {
+    return true;
+  }
+}
+
+/**
+ * Detects a file's content type from its first bytes, falling back to its extension
+ * @param {string} filePath - Path of the file, used for its extension
+ * @param {Buffer} head - First bytes of the file (up to SNIFF_LENGTH)
+ * @returns {Object} - { contentType, binary }
+ */
+function detectContentType(filePath, head) {
+  const extension = path.extname(filePath || '').toLowerCase();
+
+  const magic = MAGIC_NUMBERS.find(({ bytes }) => startsWith(head, bytes));
+  if (magic) {
+    const contentType = magic.type === 'application/zip' && ZIP_BASED[extension] ? ZIP_BASED[extension] : magic.type;
+    return { contentType, binary: true };
+  }
+
+  const container = sniffContainer(head);
+  if (container) {
+    return { contentType: container, binary: true };
+  }
+
+  if (isBinaryContent(head)) {
+    return { contentType: 'application/octet-stream', binary: true };
+  }
+
+  return { contentType: TEXT_TYPES[extension] || 'text/plain', binary: false };
+}
+
+module.exports = {
+  SNIFF_LENGTH,
+  isBinaryContent,
+  detectContentType
+};
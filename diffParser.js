@@ -0,0 +1,263 @@
+// diffParser.js - Parses git diff output into files, hunks and lines
+
+/**
+ * Unquotes a path git wrote in C style ("a\\tb", "\\303\\244")
+ * @param {string} value - Possibly quoted path
+ * @returns {string} - Path as stored in the repository
+ */
+function unquotePath(value) {
+  if (!value.startsWith('"') || !value.endsWith('"')) {
+    return value;
+  }
+
+  const escapes = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+  const bytes = [];
+  const body = value.slice(1, -1);
+
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== '\\') {
+      bytes.push(...Buffer.from(body[i]));
+      continue;
+    }
+    const next = body[i + 1];
+    if (/[0-7]/.test(next)) {
+      bytes.push(parseInt(body.substr(i + 1, 3), 8));
+      i += 3;
+    } else {
+      bytes.push(escapes[next] !== undefined ? escapes[next] : next.charCodeAt(0));
+      i += 1;
+    }
+  }
+
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Strips the a/ or b/ prefix git puts in front of diff paths
+ * @param {string} value - Path from a diff header, possibly quoted
+ * @returns {string|null} - Path, or null for /dev/null
+ */
+function diffPath(value) {
+  const unquoted = unquotePath(value.replace(/\t$/, ''));
+  if (unquoted === '/dev/null') {
+    return null;
+  }
+  return unquoted.replace(/^[ab]\//, '');
+}
+
+/**
+ * Reads the two paths of a "diff --git a/x b/y" line. Unquoted paths may contain spaces,
+ * so when both sides name the same file the line is split in the middle.
+ * @param {string} header - Text after "diff --git "
+ * @returns {Object} - { oldPath, newPath }
+ */
+function parseGitHeader(header) {
+  if (header.startsWith('"')) {
+    const end = header.indexOf('" ', 1);
+    return { oldPath: diffPath(header.slice(0, end + 1)), newPath: diffPath(header.slice(end + 2)) };
+  }
+
+  const half = (header.length - 1) / 2;
+  if (Number.isInteger(half) && header.slice(2, half) === header.slice(half + 3)) {
+    return { oldPath: header.slice(2, half), newPath: header.slice(half + 3) };
+  }
+
+  const split = header.indexOf(' b/');
+  return { oldPath: diffPath(header.slice(0, split)), newPath: diffPath(header.slice(split + 1)) };
+}
+
+/**
+ * Creates a diff file entry with nothing parsed yet
+ * @param {Object} paths - { oldPath, newPath }
+ * @returns {Object} - File entry
+ */
+function createFile({ oldPath, newPath }) {
+  return {
+    status: 'modified',
+    oldPath,
+    newPath,
+    oldMode: null,
+    newMode: null,
+    oldSha: null,
+    newSha: null,
+    similarity: null,
+    binary: false,
+    additions: 0,
+    deletions: 0,
+    hunks: [],
+    truncated: false
+  };
+}
+
+/**
+ * Parses unified diff output (git diff -p) into structured files
+ * @param {string} patch - Diff output
+ * @param {Object} options - Parse options
+ * @param {number} options.maxLinesPerFile - Lines kept per file before its hunks are truncated
+ * @returns {Array<Object>} - Files with hunks of { type, content, oldLine, newLine } lines
+ */
+function parsePatch(patch, { maxLinesPerFile = Infinity } = {}) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+  let lineCount = 0;
+
+  const lines = patch.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  for (const line of lines) {
+    if (line.startsWith('diff --git ')) {
+      file = createFile(parseGitHeader(line.slice('diff --git '.length)));
+      files.push(file);
+      hunk = null;
+      lineCount = 0;
+      continue;
+    }
+
+    if (!file) {
+      continue;
+    }
+
+    if (hunk) {
+      const type = { ' ': 'context', '+': 'add', '-': 'delete' }[line[0]];
+      if (type) {
+        if (type === 'add') file.additions++;
+        if (type === 'delete') file.deletions++;
+
+        if (lineCount < maxLinesPerFile) {
+          hunk.lines.push({
+            type,
+            content: line.slice(1),
+            oldLine: type === 'add' ? null : oldLine,
+            newLine: type === 'delete' ? null : newLine
+          });
+        } else {
+          file.truncated = true;
+        }
+        lineCount++;
+        if (type !== 'add') oldLine++;
+        if (type !== 'delete') newLine++;
+        continue;
+      }
+
+      if (line.startsWith('\\')) {
+        // "\ No newline at end of file" belongs to the line before it
+        const previous = hunk.lines[hunk.lines.length - 1];
+        if (previous) {
+          previous.noNewline = true;
+        }
+        continue;
+      }
+    }
+
+    const hunkHeader = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/);
+    if (hunkHeader) {
+      oldLine = parseInt(hunkHeader[1], 10);
+      newLine = parseInt(hunkHeader[3], 10);
+      hunk = {
+        oldStart: oldLine,
+        oldLines: hunkHeader[2] === undefined ? 1 : parseInt(hunkHeader[2], 10),
+        newStart: newLine,
+        newLines: hunkHeader[4] === undefined ? 1 : parseInt(hunkHeader[4], 10),
+        header: hunkHeader[5],
+        lines: []
+      };
+      if (lineCount < maxLinesPerFile) {
+        file.hunks.push(hunk);
+      } else {
+        file.truncated = true;
+      }
+      continue;
+    }
+
+    // Extended header lines between "diff --git" and the first hunk
+    let match;
+    if ((match = line.match(/^new file mode (\d+)/))) {
+      file.status = 'added';
+      file.newMode = match[1];
+      file.oldPath = null;
+    } else if ((match = line.match(/^deleted file mode (\d+)/))) {
+      file.status = 'deleted';
+      file.oldMode = match[1];
+      file.newPath = null;
+    } else if ((match = line.match(/^old mode (\d+)/))) {
+      file.oldMode = match[1];
+    } else if ((match = line.match(/^new mode (\d+)/))) {
+      file.newMode = match[1];
+    } else if ((match = line.match(/^(?:similarity|dissimilarity) index (\d+)%/))) {
+      file.similarity = parseInt(match[1], 10);
+    } else if ((match = line.match(/^rename from (.+)/))) {
+      file.status = 'renamed';
+      file.oldPath = unquotePath(match[1]);
+    } else if ((match = line.match(/^rename to (.+)/))) {
+      file.newPath = unquotePath(match[1]);
+    } else if ((match = line.match(/^copy from (.+)/))) {
+      file.status = 'copied';
+      file.oldPath = unquotePath(match[1]);
+    } else if ((match = line.match(/^copy to (.+)/))) {
+      file.newPath = unquotePath(match[1]);
+    } else if ((match = line.match(/^index ([0-9a-f]+)\.\.([0-9a-f]+)(?: (\d+))?/))) {
+      file.oldSha = /^0+$/.test(match[1]) ? null : match[1];
+      file.newSha = /^0+$/.test(match[2]) ? null : match[2];
+      if (match[3]) {
+        file.oldMode = file.oldMode || match[3];
+        file.newMode = file.newMode || match[3];
+      }
+    } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+      file.binary = true;
+    } else if (line.startsWith('--- ')) {
+      file.oldPath = diffPath(line.slice(4));
+    } else if (line.startsWith('+++ ')) {
+      file.newPath = diffPath(line.slice(4));
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Parses `git diff --numstat -z` output
+ * @param {string} output - numstat output
+ * @returns {Array<Object>} - { oldPath, newPath, additions, deletions, binary } entries
+ */
+function parseNumstat(output) {
+  const fields = output.split('\0');
+  const entries = [];
+
+  for (let i = 0; i < fields.length; i++) {
+    const match = fields[i].match(/^(\d+|-)\t(\d+|-)\t(.*)$/);
+    if (!match) {
+      continue;
+    }
+
+    const binary = match[1] === '-';
+    const entry = {
+      additions: binary ? 0 : parseInt(match[1], 10),
+      deletions: binary ? 0 : parseInt(match[2], 10),
+      binary
+    };
+
+    // Renames and copies leave the path empty and list both paths as separate fields
+    if (match[3] === '') {
+      entry.oldPath = fields[i + 1];
+      entry.newPath = fields[i + 2];
+      i += 2;
+    } else {
+      entry.oldPath = match[3];
+      entry.newPath = match[3];
+    }
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+module.exports = {
+  unquotePath,
+  parsePatch,
+  parseNumstat
+};
@@ -0,0 +1,159 @@
+// jsonDiff.js - Structural diff of JSON documents, reported by JSON path
+//
+// Key order and formatting are ignored. Arrays of objects that carry an id field are matched
+// by that id, so inserting or reordering entries does not show up as every later entry changing.
+
+// Fields that identify array items, in order of preference
+const ID_FIELDS = ['id', '_id', 'uuid', 'identifier', 'key'];
+
+/**
+ * Checks whether a value is a plain JSON object
+ * @param {*} value - Parsed JSON value
+ * @returns {boolean} - True for objects, false for arrays, null and primitives
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Appends an object key to a JSON path, quoting keys that are not plain identifiers
+ * @param {string} path - Path so far
+ * @param {string} key - Object key
+ * @returns {string} - Extended path
+ */
+function keyPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Finds an id field shared by every item of both arrays, with no id repeated within an array
+ * @param {Array} before - Old array
+ * @param {Array} after - New array
+ * @returns {string|null} - Field name, or null if items have to be matched by position
+ */
+function findIdField(before, after) {
+  const items = before.concat(after);
+  if (items.length === 0 || !items.every(isObject)) {
+    return null;
+  }
+
+  return ID_FIELDS.find((field) => {
+    const valid = value => typeof value === 'string' || typeof value === 'number';
+    if (!items.every(item => valid(item[field]))) {
+      return false;
+    }
+    return [before, after].every(list => new Set(list.map(item => item[field])).size === list.length);
+  }) || null;
+}
+
+/**
+ * Compares two parsed JSON documents
+ * @param {*} before - Old document
+ * @param {*} after - New document
+ * @param {Object} options - Diff options
+ * @param {number} options.maxChanges - Changes collected before the diff stops
+ * @returns {Object} - { changes: [{ type: 'added'|'removed'|'changed', path, oldValue, newValue }], truncated }
+ */
+function diffJson(before, after, { maxChanges = Infinity } = {}) {
+  const changes = [];
+  let truncated = false;
+
+  const record = (change) => {
+    if (changes.length >= maxChanges) {
+      truncated = true;
+      return;
+    }
+    changes.push(change);
+  };
+
+  const walk = (oldValue, newValue, path) => {
+    if (truncated) {
+      return;
+    }
+
+    if (isObject(oldValue) && isObject(newValue)) {
+      Object.keys(oldValue).sort().forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(newValue, key)) {
+          record({ type: 'removed', path: keyPath(path, key), oldValue: oldValue[key] });
+        }
+      });
+      Object.keys(newValue).sort().forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(oldValue, key)) {
+          record({ type: 'added', path: keyPath(path, key), newValue: newValue[key] });
+        } else {
+          walk(oldValue[key], newValue[key], keyPath(path, key));
+        }
+      });
+      return;
+    }
+
+    if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+      const idField = findIdField(oldValue, newValue);
+      if (!idField) {
+        const length = Math.max(oldValue.length, newValue.length);
+        for (let i = 0; i < length; i++) {
+          if (i >= newValue.length) {
+            record({ type: 'removed', path: `${path}[${i}]`, oldValue: oldValue[i] });
+          } else if (i >= oldValue.length) {
+            record({ type: 'added', path: `${path}[${i}]`, newValue: newValue[i] });
+          } else {
+            walk(oldValue[i], newValue[i], `${path}[${i}]`);
+          }
+        }
+        return;
+      }
+
+      const itemPath = id => `${path}[${idField}=${JSON.stringify(id)}]`;
+      const newById = new Map(newValue.map(item => [item[idField], item]));
+      const oldIds = new Set(oldValue.map(item => item[idField]));
+      oldValue.forEach((item) => {
+        const id = item[idField];
+        if (newById.has(id)) {
+          walk(item, newById.get(id), itemPath(id));
+        } else {
+          record({ type: 'removed', path: itemPath(id), oldValue: item });
+        }
+      });
+      newValue.forEach((item) => {
+        if (!oldIds.has(item[idField])) {
+          record({ type: 'added', path: itemPath(item[idField]), newValue: item });
+        }
+      });
+      return;
+    }
+
+    // Primitives, or a value that changed type
+    if (oldValue !== newValue && JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      record({ type: 'changed', path, oldValue, newValue });
+    }
+  };
+
+  if (before === undefined && after !== undefined) {
+    record({ type: 'added', path: '$', newValue: after });
+  } else if (after === undefined && before !== undefined) {
+    record({ type: 'removed', path: '$', oldValue: before });
+  } else {
+    walk(before, after, '$');
+  }
+
+  return { changes, truncated };
+}
+
+/**
+ * Parses JSON text, reporting failure instead of throwing
+ * @param {string} text - JSON text
+ * @returns {Object} - { value } on success, { error } with the parser message otherwise
+ */
+function parseJson(text) {
+  try {
+    return { value: JSON.parse(text.replace(/^\uFEFF/, '')) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+module.exports = {
+  ID_FIELDS,
+  diffJson,
+  parseJson
+};
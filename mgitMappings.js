@@ -0,0 +1,288 @@
+// mgitMappings.js - Cached access to a repository's git hash <-> MGit hash mappings
+//
+// Clients record which nostr key made each commit in .mgit/mappings/hash_mappings.json, or in
+// .mgit/nostr_mappings.json before that. Both files are read, parsed once and indexed, and
+// re-read only when one of them changes on disk.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Mapping files relative to the repository, newest location first; its entries win on conflicts
+const MAPPINGS_FILES = [
+  path.join('.mgit', 'mappings', 'hash_mappings.json'),
+  path.join('.mgit', 'nostr_mappings.json')
+];
+
+// Shortest abbreviated git hash that is looked up by prefix
+const MIN_PREFIX_LENGTH = 7;
+
+// repoPath -> { signature, index }
+const cache = new Map();
+
+/**
+ * Lists the mapping file locations of a repository
+ * @param {string} repoPath - Path to the repository
+ * @returns {Array<string>} - Absolute paths, newest location first
+ */
+function mappingsPaths(repoPath) {
+  return MAPPINGS_FILES.map(file => path.join(repoPath, file));
+}
+
+/**
+ * Normalizes a mapping entry to { GitHash, MGitHash, Pubkey, Attestation }. The legacy file uses
+ * these names; newer clients may write snake_case or camelCase ones.
+ * @param {Object} raw - Entry as stored
+ * @returns {Object|null} - Normalized entry, or null if it has no git hash
+ */
+function normalizeEntry(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  const pick = (...names) => {
+    const name = names.find(key => typeof raw[key] === 'string' && raw[key]);
+    return name ? raw[name] : null;
+  };
+
+  const gitHash = pick('GitHash', 'git_hash', 'gitHash');
+  if (!gitHash) {
+    return null;
+  }
+  const attestation = raw.Attestation || raw.attestation;
+  return {
+    GitHash: gitHash.toLowerCase(),
+    MGitHash: pick('MGitHash', 'mgit_hash', 'mgitHash'),
+    Pubkey: pick('Pubkey', 'pubkey', 'PubKey'),
+    // Signed nostr event vouching for the entry, see commitAttestation.js
+    Attestation: attestation && typeof attestation === 'object' ? attestation : null
+  };
+}
+
+/**
+ * Reads the entries of one mapping file, which holds either an array of entries or
+ * an object with a `mappings` array
+ * @param {string} filePath - Path to the mapping file
+ * @returns {Array<Object>} - Normalized entries, empty if the file is unreadable
+ */
+function readMappingsFile(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const entries = Array.isArray(data) ? data : (data && Array.isArray(data.mappings) ? data.mappings : []);
+    return entries.map(normalizeEntry).filter(Boolean);
+  } catch (err) {
+    console.error(`Error reading MGit mappings from ${filePath}:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Describes the current state of the mapping files so changes can be noticed cheaply
+ * @param {Array<string>} files - Mapping file paths
+ * @returns {string} - mtime and size of each file, or "-" where it is missing
+ */
+function fileSignature(files) {
+  return files.map((file) => {
+    try {
+      const stat = fs.statSync(file);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (err) {
+      return '-';
+    }
+  }).join('|');
+}
+
+/**
+ * Gets the indexed mappings of a repository, re-reading the files only when they changed
+ * @param {string} repoPath - Path to the repository
+ * @returns {Object} - { entries, byGitHash, byMGitHash } where the indexes are Maps to entries
+ */
+function getMappings(repoPath) {
+  const files = mappingsPaths(repoPath);
+  const signature = fileSignature(files);
+
+  const cached = cache.get(repoPath);
+  if (cached && cached.signature === signature) {
+    return cached.index;
+  }
+
+  const byGitHash = new Map();
+  const byMGitHash = new Map();
+
+  // Older locations first, so the current file overrides them
+  files.slice().reverse().forEach((file) => {
+    if (fs.existsSync(file)) {
+      readMappingsFile(file).forEach(entry => byGitHash.set(entry.GitHash, entry));
+    }
+  });
+  byGitHash.forEach((entry) => {
+    if (entry.MGitHash) {
+      byMGitHash.set(entry.MGitHash, entry);
+    }
+  });
+
+  const index = { entries: Array.from(byGitHash.values()), byGitHash, byMGitHash };
+  cache.set(repoPath, { signature, index });
+  return index;
+}
+
+/**
+ * Finds the mapping of a git commit
+ * @param {string} repoPath - Path to the repository
+ * @param {string} gitHash - Full or abbreviated commit hash
+ * @returns {Object|null} - { GitHash, MGitHash, Pubkey, Attestation } or null if the commit has none
+ */
+function findByGitHash(repoPath, gitHash) {
+  if (!gitHash) {
+    return null;
+  }
+  const { entries, byGitHash } = getMappings(repoPath);
+  const hash = gitHash.toLowerCase();
+
+  if (byGitHash.has(hash)) {
+    return byGitHash.get(hash);
+  }
+  // Abbreviated hashes only match when they are unambiguous
+  if (hash.length >= MIN_PREFIX_LENGTH && hash.length < 40) {
+    const matches = entries.filter(entry => entry.GitHash.startsWith(hash));
+    return matches.length === 1 ? matches[0] : null;
+  }
+  return null;
+}
+
+/**
+ * Finds the git commit an MGit hash was recorded for
+ * @param {string} repoPath - Path to the repository
+ * @param {string} mgitHash - MGit hash
+ * @returns {Object|null} - { GitHash, MGitHash, Pubkey, Attestation } or null if it is unknown
+ */
+function findByMGitHash(repoPath, mgitHash) {
+  return (mgitHash && getMappings(repoPath).byMGitHash.get(mgitHash)) || null;
+}
+
+// repoPath -> promise of the last queued write, so appends to one file never interleave
+const writeQueues = new Map();
+
+/**
+ * Picks the file new mappings are written to: the existing file in the newest location,
+ * or the newest location when there is none yet
+ * @param {string} repoPath - Path to the repository
+ * @returns {string} - Absolute path of the mapping file
+ */
+function writableMappingsPath(repoPath) {
+  const files = mappingsPaths(repoPath);
+  return files.find(file => fs.existsSync(file)) || files[0];
+}
+
+/**
+ * Applies a change to a repository's mapping file. Changes to one repository are queued so they
+ * never interleave, and the file is replaced atomically (write to a temporary file, then rename).
+ * @param {string} repoPath - Path to the repository
+ * @param {Function} update - Called with the stored entries and a function that converts a
+ *   normalized entry to the field names the file uses; changes the list and returns a count
+ * @returns {Promise<number>} - Count returned by update; the file is only written when it is not 0
+ */
+function updateMappingsFile(repoPath, update) {
+  const write = () => {
+    const filePath = writableMappingsPath(repoPath);
+    let data = [];
+    if (fs.existsSync(filePath)) {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+    const list = Array.isArray(data) ? data : data.mappings;
+    if (!Array.isArray(list)) {
+      throw new Error(`Unrecognised mappings file ${filePath}`);
+    }
+
+    // Keep the naming the file already uses
+    const snakeCase = list.length > 0 && normalizeEntry(list[0]) && list[0].git_hash !== undefined;
+    const toStored = (entry) => {
+      const stored = snakeCase
+        ? { git_hash: entry.GitHash, mgit_hash: entry.MGitHash, pubkey: entry.Pubkey }
+        : { GitHash: entry.GitHash, MGitHash: entry.MGitHash, Pubkey: entry.Pubkey };
+      if (entry.Attestation) {
+        stored[snakeCase ? 'attestation' : 'Attestation'] = entry.Attestation;
+      }
+      return stored;
+    };
+
+    const count = update(list, toStored);
+    if (count === 0) {
+      return 0;
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (err) {
+      fs.rmSync(tempPath, { force: true });
+      throw err;
+    }
+    return count;
+  };
+
+  const queued = (writeQueues.get(repoPath) || Promise.resolve()).then(write, write);
+  writeQueues.set(repoPath, queued.catch(() => {}));
+  return queued;
+}
+
+/**
+ * Adds entries to a repository's mapping file, skipping commits that are already mapped
+ * @param {string} repoPath - Path to the repository
+ * @param {Array<Object>} entries - { GitHash, MGitHash, Pubkey, Attestation } entries
+ * @returns {Promise<number>} - Number of entries added
+ */
+function appendMappings(repoPath, entries) {
+  return updateMappingsFile(repoPath, (list, toStored) => {
+    const existing = new Set(list.map(normalizeEntry).filter(Boolean).map(entry => entry.GitHash));
+    const added = entries.filter((entry) => {
+      if (existing.has(entry.GitHash)) {
+        return false;
+      }
+      existing.add(entry.GitHash);
+      return true;
+    });
+    added.forEach(entry => list.push(toStored(entry)));
+    return added.length;
+  });
+}
+
+/**
+ * Stores attestations with the entries of commits that are already mapped. An entry that is
+ * only in the legacy file is copied to the current one along with its attestation.
+ * @param {string} repoPath - Path to the repository
+ * @param {Map<string, Object>} attestations - Git hash -> attestation event
+ * @returns {Promise<number>} - Number of entries updated
+ */
+function attachAttestations(repoPath, attestations) {
+  return updateMappingsFile(repoPath, (list, toStored) => {
+    const { byGitHash } = getMappings(repoPath);
+    let updated = 0;
+    const stored = new Set();
+    list.forEach((raw) => {
+      const entry = normalizeEntry(raw);
+      if (entry && attestations.has(entry.GitHash)) {
+        raw[raw.git_hash !== undefined ? 'attestation' : 'Attestation'] = attestations.get(entry.GitHash);
+        stored.add(entry.GitHash);
+        updated++;
+      }
+    });
+    attestations.forEach((attestation, gitHash) => {
+      if (!stored.has(gitHash) && byGitHash.has(gitHash)) {
+        list.push(toStored({ ...byGitHash.get(gitHash), Attestation: attestation }));
+        updated++;
+      }
+    });
+    return updated;
+  });
+}
+
+module.exports = {
+  mappingsPaths,
+  normalizeEntry,
+  getMappings,
+  findByGitHash,
+  findByMGitHash,
+  appendMappings,
+  attachAttestations
+};
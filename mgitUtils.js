@@ -2,6 +2,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const mgitMappings = require('./mgitMappings');
 
 /**
  * Gets the default branch for a repository
@@ -362,24 +363,8 @@ function getCommitDetail(repoPath, sha) {
  * @returns {string|null} - MGit hash or null if not found
  */
 function getMGitHash(repoPath, gitHash) {
-  try {
-    // Try to read the nostr_mappings.json file
-    const mappingsPath = path.join(repoPath, '.mgit', 'nostr_mappings.json');
-    
-    if (!fs.existsSync(mappingsPath)) {
-      return null;
-    }
-    
-    const mappings = JSON.parse(fs.readFileSync(mappingsPath, 'utf8'));
-    
-    // Find the mapping for this git hash
-    const mapping = mappings.find(m => m.GitHash === gitHash);
-    
-    return mapping ? mapping.MGitHash : null;
-  } catch (err) {
-    console.error(`Error getting MGit hash for ${gitHash}:`, err);
-    return null;
-  }
+  const mapping = mgitMappings.findByGitHash(repoPath, gitHash);
+  return mapping ? mapping.MGitHash : null;
 }
 
 /**
@@ -389,24 +374,8 @@ function getMGitHash(repoPath, gitHash) {
  * @returns {string|null} - Nostr pubkey or null if not found
  */
 function getNostrPubkey(repoPath, gitHash) {
-  try {
-    // Try to read the nostr_mappings.json file
-    const mappingsPath = path.join(repoPath, '.mgit', 'nostr_mappings.json');
-    
-    if (!fs.existsSync(mappingsPath)) {
-      return null;
-    }
-    
-    const mappings = JSON.parse(fs.readFileSync(mappingsPath, 'utf8'));
-    
-    // Find the mapping for this git hash
-    const mapping = mappings.find(m => m.GitHash === gitHash);
-    
-    return mapping ? mapping.Pubkey : null;
-  } catch (err) {
-    console.error(`Error getting Nostr pubkey for ${gitHash}:`, err);
-    return null;
-  }
+  const mapping = mgitMappings.findByGitHash(repoPath, gitHash);
+  return mapping ? mapping.Pubkey : null;
 }
 
 module.exports = {
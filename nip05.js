@@ -0,0 +1,161 @@
+// nip05.js - NIP-05 identifier resolution with a result cache
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// How long resolved identifiers are cached, in milliseconds
+const NIP05_CACHE_TTL = parseInt(process.env.NIP05_CACHE_TTL || '900', 10) * 1000;
+
+// Failed lookups are retried sooner than successful ones are refreshed
+const NIP05_NEGATIVE_TTL = 60 * 1000;
+
+const NAME_PATTERN = /^[a-z0-9._-]+$/;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// Most identifiers kept in the cache; the oldest entries are dropped first
+const NIP05_CACHE_MAX = 10000;
+
+// identifier -> { result, expiresAt }, in the order the entries were stored
+const cache = new Map();
+
+// Addresses a lookup must never reach: identifiers can be supplied by anyone, and the server
+// would otherwise fetch from (and report on) hosts on its own network
+const INTERNAL_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Checks whether an IP address is private, loopback, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if lookups must not connect to it
+ */
+function isInternalAddress(address) {
+  return INTERNAL_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that fails for hosts resolving to an internal address. Used as the socket's own
+ * lookup, so the address checked is the one connected to.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const internal = addresses.find(entry => isInternalAddress(entry.address));
+    if (internal) {
+      return callback(new Error(`${hostname} resolves to internal address ${internal.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Splits and validates a NIP-05 identifier
+ * @param {string} identifier - e.g. "drsmith@clinic.org" (a bare domain means "_@domain")
+ * @returns {Object|null} - { name, domain } in lowercase, or null if the identifier is invalid
+ */
+function parseIdentifier(identifier) {
+  if (typeof identifier !== 'string') {
+    return null;
+  }
+
+  const parts = identifier.trim().toLowerCase().split('@');
+  const [name, domain] = parts.length === 1 ? ['_', parts[0]] : parts;
+
+  if (parts.length > 2 || !NAME_PATTERN.test(name) || !DOMAIN_PATTERN.test(domain)) {
+    return null;
+  }
+
+  return { name, domain };
+}
+
+/**
+ * Checks whether a string looks like a NIP-05 identifier rather than a key
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if value is name@domain
+ */
+function isNip05Identifier(value) {
+  return typeof value === 'string' && value.includes('@') && parseIdentifier(value) !== null;
+}
+
+/**
+ * Fetches a name from a domain's /.well-known/nostr.json
+ * @param {string} name - Local part of the identifier
+ * @param {string} domain - Domain of the identifier
+ * @returns {Promise<Object|null>} - { pubkey, relays } or null if the domain does not list the name
+ */
+async function fetchNip05(name, domain) {
+  const response = await axios.get(`https://${domain}/.well-known/nostr.json`, {
+    params: { name },
+    headers: { 'Accept': 'application/json' },
+    httpsAgent,
+    timeout: 5000,
+    // NIP-05 forbids following redirects
+    maxRedirects: 0,
+    maxContentLength: 1024 * 1024
+  });
+
+  const data = response.data || {};
+  const pubkey = data.names && data.names[name];
+  if (typeof pubkey !== 'string' || !/^[0-9a-f]{64}$/.test(pubkey)) {
+    return null;
+  }
+
+  const relays = data.relays && Array.isArray(data.relays[pubkey]) ? data.relays[pubkey] : [];
+  return { pubkey, relays };
+}
+
+/**
+ * Resolves a NIP-05 identifier to a hex pubkey, using the cache when possible
+ * @param {string} identifier - e.g. "drsmith@clinic.org"
+ * @returns {Promise<Object|null>} - { name, domain, pubkey, relays } or null if it does not resolve
+ */
+async function resolveNip05(identifier) {
+  const parsed = parseIdentifier(identifier);
+  if (!parsed) {
+    return null;
+  }
+
+  const key = `${parsed.name}@${parsed.domain}`;
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.result;
+  }
+  cache.delete(key);
+
+  let result = null;
+  try {
+    const found = await fetchNip05(parsed.name, parsed.domain);
+    result = found ? { ...parsed, ...found } : null;
+  } catch (err) {
+    console.warn(`NIP-05 lookup for ${key} failed:`, err.message);
+  }
+
+  cache.delete(key);
+  cache.set(key, {
+    result,
+    expiresAt: Date.now() + (result ? NIP05_CACHE_TTL : NIP05_NEGATIVE_TTL)
+  });
+  while (cache.size > NIP05_CACHE_MAX) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseIdentifier,
+  isNip05Identifier,
+  isInternalAddress,
+  resolveNip05
+};
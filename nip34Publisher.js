@@ -0,0 +1,185 @@
+// nip34Publisher.js - Publishes NIP-34 repository announcements and state events to nostr relays
+//
+// After a push the server announces the repository (kind 30617: name, description, clone URL,
+// maintainers) and its refs (kind 30618), both signed with the server's own key. Both kinds are
+// addressable by the repository ID in their "d" tag, so each push replaces the previous events.
+const WebSocket = require('ws');
+const { finalizeEvent, getPublicKey, nip19 } = require('nostr-tools');
+
+const REPOSITORY_ANNOUNCEMENT_KIND = 30617;
+const REPOSITORY_STATE_KIND = 30618;
+
+/**
+ * Reads the server's secret key from config
+ * @param {string} value - nsec or 64 character hex secret key
+ * @returns {Uint8Array} - Secret key bytes
+ */
+function parseSecretKey(value) {
+  if (value.startsWith('nsec1')) {
+    return nip19.decode(value).data;
+  }
+  if (!/^[0-9a-f]{64}$/i.test(value)) {
+    throw new Error('Expected an nsec or a 64 character hex secret key');
+  }
+  return Uint8Array.from(Buffer.from(value, 'hex'));
+}
+
+/**
+ * Builds a repository announcement
+ * @param {Object} repo - Repository details
+ * @param {string} repo.repoId - Repository ID, used as the "d" tag
+ * @param {string|null} repo.description - Short description
+ * @param {Array<string>} repo.cloneUrls - URLs the repository can be cloned from
+ * @param {Array<string>} repo.relays - Relays the events are published to
+ * @param {string|null} repo.rootCommit - Earliest commit of the default branch
+ * @param {Array<string>} repo.maintainers - Hex pubkeys of the repository's admins
+ * @returns {Object} - Unsigned kind 30617 event
+ */
+function buildAnnouncement({ repoId, description, cloneUrls, relays, rootCommit, maintainers }) {
+  const tags = [['d', repoId], ['name', repoId]];
+  if (description) {
+    tags.push(['description', description]);
+  }
+  tags.push(['clone', ...cloneUrls]);
+  tags.push(['relays', ...relays]);
+  if (rootCommit) {
+    // Lets clients group forks and mirrors that share the same history
+    tags.push(['r', rootCommit, 'euc']);
+  }
+  if (maintainers.length > 0) {
+    tags.push(['maintainers', ...maintainers]);
+  }
+  return { kind: REPOSITORY_ANNOUNCEMENT_KIND, tags, content: '' };
+}
+
+/**
+ * Builds a repository state event
+ * @param {Object} state - Repository state
+ * @param {string} state.repoId - Repository ID, used as the "d" tag
+ * @param {Map<string, string>} state.refs - Branch and tag refs to the object ids they point at
+ * @param {string|null} state.defaultBranch - Branch HEAD points to
+ * @returns {Object} - Unsigned kind 30618 event
+ */
+function buildState({ repoId, refs, defaultBranch }) {
+  const tags = [['d', repoId]];
+  refs.forEach((oid, ref) => {
+    if (ref.startsWith('refs/heads/') || ref.startsWith('refs/tags/')) {
+      tags.push([ref, oid]);
+    }
+  });
+  if (defaultBranch) {
+    tags.push(['HEAD', `ref: refs/heads/${defaultBranch}`]);
+  }
+  return { kind: REPOSITORY_STATE_KIND, tags, content: '' };
+}
+
+/**
+ * Sends one event to a relay and waits for its OK
+ * @param {string} relayUrl - Relay websocket URL
+ * @param {Object} event - Signed event
+ * @param {number} timeout - Milliseconds to wait before giving up
+ * @returns {Promise<Object>} - { relay, accepted, message }
+ */
+function sendEvent(relayUrl, event, timeout) {
+  return new Promise((resolve) => {
+    let ws;
+    let result = { relay: relayUrl, accepted: false, message: 'timed out' };
+
+    const finish = () => {
+      clearTimeout(timer);
+      if (ws && ws.readyState <= WebSocket.OPEN) {
+        ws.close();
+      }
+      resolve(result);
+    };
+    const timer = setTimeout(finish, timeout);
+
+    try {
+      ws = new WebSocket(relayUrl);
+    } catch (err) {
+      result.message = err.message;
+      return finish();
+    }
+
+    ws.on('open', () => {
+      ws.send(JSON.stringify(['EVENT', event]));
+    });
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        return;
+      }
+
+      const [type, id, accepted, reason] = message;
+      if (type === 'OK' && id === event.id) {
+        result = { relay: relayUrl, accepted: accepted === true, message: reason || '' };
+        finish();
+      }
+    });
+
+    ws.on('error', (err) => {
+      result.message = err.message;
+      finish();
+    });
+    ws.on('close', finish);
+  });
+}
+
+/**
+ * Creates a publisher that signs NIP-34 events with the server key and sends them to a relay set
+ * @param {Object} options - Publisher options
+ * @param {string} options.secretKey - Server key as nsec or hex
+ * @param {Array<string>} options.relays - Relay URLs events are sent to
+ * @param {number} options.timeout - Milliseconds to wait for each relay
+ * @returns {Object} - Publisher
+ */
+function createPublisher({ secretKey, relays, timeout = 10000 }) {
+  const key = parseSecretKey(secretKey);
+  const pubkey = getPublicKey(key);
+
+  // "repoId:kind" -> created_at of the last event, so quick successive pushes still replace each other
+  const lastCreatedAt = new Map();
+
+  /**
+   * Signs an event and sends it to every relay in parallel
+   * @param {string} repoId - Repository the event describes
+   * @param {Object} template - Unsigned event
+   * @returns {Promise<Object>} - { event, results } with one result per relay
+   */
+  async function publish(repoId, template) {
+    const slot = `${repoId}:${template.kind}`;
+    const createdAt = Math.max(Math.floor(Date.now() / 1000), (lastCreatedAt.get(slot) || 0) + 1);
+    lastCreatedAt.set(slot, createdAt);
+
+    const event = finalizeEvent({ ...template, created_at: createdAt }, key);
+    const results = await Promise.all(relays.map(relay => sendEvent(relay, event, timeout)));
+    return { event, results };
+  }
+
+  return {
+    pubkey,
+    relays,
+
+    /**
+     * Publishes a repository's announcement followed by its state
+     * @param {Object} repo - Fields for buildAnnouncement and buildState, except relays
+     * @returns {Promise<Array<Object>>} - { event, results } for both events
+     */
+    async publishRepository(repo) {
+      const announcement = await publish(repo.repoId, buildAnnouncement({ ...repo, relays }));
+      const state = await publish(repo.repoId, buildState(repo));
+      return [announcement, state];
+    }
+  };
+}
+
+module.exports = {
+  REPOSITORY_ANNOUNCEMENT_KIND,
+  REPOSITORY_STATE_KIND,
+  buildAnnouncement,
+  buildState,
+  createPublisher
+};
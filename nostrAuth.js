@@ -0,0 +1,168 @@
+// nostrAuth.js - Helper functions for checking signed nostr auth events
+const crypto = require('crypto');
+
+// Event kind clients sign to answer an MGit auth challenge
+const MGIT_AUTH_KIND = 22242;
+
+// Event kind for NIP-98 HTTP Auth
+const HTTP_AUTH_KIND = 27235;
+
+// How far a NIP-98 event's created_at may be from now, in seconds
+const HTTP_AUTH_WINDOW = 60;
+
+// Allowed clock skew between client and server, in seconds
+const CLOCK_SKEW = 60;
+
+/**
+ * Builds the exact content a client must sign for a challenge
+ * @param {string} challenge - Challenge string issued by the server
+ * @returns {string} - Expected event content
+ */
+function challengeContent(challenge) {
+  return `MGit auth challenge: ${challenge}`;
+}
+
+/**
+ * Checks that an event's created_at falls inside a time window
+ * @param {Object} event - Signed nostr event
+ * @param {number} notBefore - Earliest acceptable time, in unix seconds
+ * @param {number} notAfter - Latest acceptable time, in unix seconds
+ * @returns {boolean} - True if the event is fresh
+ */
+function isFreshEvent(event, notBefore, notAfter) {
+  return Number.isInteger(event.created_at) &&
+    event.created_at >= notBefore - CLOCK_SKEW &&
+    event.created_at <= notAfter + CLOCK_SKEW;
+}
+
+/**
+ * Checks that a signed event answers a specific challenge. The signature
+ * itself must be verified separately.
+ * @param {Object} event - Signed nostr event
+ * @param {string} challenge - Challenge string issued by the server
+ * @param {number} issuedAt - When the challenge was issued, in milliseconds
+ * @returns {string|null} - Reason the event was rejected, or null if it matches
+ */
+function checkChallengeEvent(event, challenge, issuedAt) {
+  if (event.kind !== MGIT_AUTH_KIND) {
+    return `Event kind must be ${MGIT_AUTH_KIND}`;
+  }
+
+  // Clients may sign either the bare challenge or the standard prompt
+  if (event.content !== challenge && event.content !== challengeContent(challenge)) {
+    return 'Challenge mismatch in signed content';
+  }
+
+  // A challenge tag is optional, but when present it must name this challenge
+  const challengeTags = event.tags.filter(tag => tag[0] === 'challenge');
+  if (challengeTags.some(tag => tag[1] !== challenge)) {
+    return 'Challenge mismatch in event tags';
+  }
+
+  if (!isFreshEvent(event, Math.floor(issuedAt / 1000), Math.floor(Date.now() / 1000))) {
+    return 'Event created_at is outside the allowed window';
+  }
+
+  return null;
+}
+
+/**
+ * Decodes the event carried in a NIP-98 `Authorization: Nostr <base64>` header
+ * @param {string} authHeader - Value of the Authorization header
+ * @returns {Object} - The decoded (unverified) nostr event
+ */
+function decodeHttpAuthHeader(authHeader) {
+  const encoded = authHeader.slice('Nostr '.length).trim();
+  const event = JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+
+  if (!event || typeof event !== 'object' || !Array.isArray(event.tags)) {
+    throw new Error('Malformed NIP-98 event');
+  }
+
+  return event;
+}
+
+/**
+ * Computes the NIP-98 payload hash of a request body
+ * @param {Buffer} body - Raw request body
+ * @returns {string} - Hex encoded SHA-256 digest
+ */
+function hashPayload(body) {
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+/**
+ * Reads the value of the first tag with a name
+ * @param {Object} event - Nostr event
+ * @param {string} name - Tag name
+ * @returns {string|undefined} - Tag value
+ */
+function tagValue(event, name) {
+  const tag = event.tags.find(t => t[0] === name);
+  return tag ? tag[1] : undefined;
+}
+
+/**
+ * Checks that a NIP-98 event authorizes a specific HTTP request. The
+ * signature and the payload hash (see checkHttpAuthPayload) must be verified separately.
+ * @param {Object} event - Signed nostr event
+ * @param {Object} request - The request being authorized
+ * @param {string} request.url - Absolute URL of the request
+ * @param {string} request.method - HTTP method of the request
+ * @returns {string|null} - Reason the event was rejected, or null if it matches
+ */
+function checkHttpAuthEvent(event, { url, method }) {
+  if (event.kind !== HTTP_AUTH_KIND) {
+    return `Event kind must be ${HTTP_AUTH_KIND}`;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isInteger(event.created_at) || Math.abs(now - event.created_at) > HTTP_AUTH_WINDOW) {
+    return 'Event created_at is outside the allowed window';
+  }
+
+  if (tagValue(event, 'u') !== url) {
+    return 'URL tag does not match request';
+  }
+
+  const methodTag = tagValue(event, 'method');
+  if (typeof methodTag !== 'string' || methodTag.toUpperCase() !== method.toUpperCase()) {
+    return 'Method tag does not match request';
+  }
+
+  return null;
+}
+
+/**
+ * Checks a NIP-98 event's payload tag against the request body
+ * @param {Object} event - Signed nostr event
+ * @param {Buffer|null} body - Raw request body, or null when there is none
+ * @returns {string|null} - Reason the event was rejected, or null if it matches
+ */
+function checkHttpAuthPayload(event, body) {
+  if (body && body.length > 0) {
+    const payload = tagValue(event, 'payload');
+    if (!payload) {
+      return 'Payload tag is required for requests with a body';
+    }
+    if (payload !== hashPayload(body)) {
+      return 'Payload tag does not match request body';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  MGIT_AUTH_KIND,
+  HTTP_AUTH_KIND,
+  HTTP_AUTH_WINDOW,
+  CLOCK_SKEW,
+  challengeContent,
+  isFreshEvent,
+  checkChallengeEvent,
+  decodeHttpAuthHeader,
+  hashPayload,
+  checkHttpAuthEvent,
+  checkHttpAuthPayload
+};
@@ -0,0 +1,173 @@
+// nostrProfiles.js - Relay pool queries and a cache for nostr profile metadata (kind 0)
+const WebSocket = require('ws');
+const { verifyEvent } = require('nostr-tools');
+
+const DEFAULT_RELAYS = ['wss://relay.damus.io', 'wss://nos.lol', 'wss://relay.primal.net'];
+
+/**
+ * Reads the relay list from a comma separated string
+ * @param {string} value - e.g. "wss://relay.damus.io,wss://nos.lol"
+ * @returns {Array<string>} - Relay URLs, or the defaults when value is empty
+ */
+function parseRelayList(value) {
+  const relays = (value || '').split(',').map(relay => relay.trim()).filter(Boolean);
+  return relays.length > 0 ? relays : DEFAULT_RELAYS;
+}
+
+/**
+ * Queries one relay for a pubkey's kind 0 events
+ * @param {string} relayUrl - Relay websocket URL
+ * @param {string} pubkey - Hex public key
+ * @param {number} timeout - Milliseconds to wait before giving up
+ * @returns {Promise<Array<Object>>} - Events received before EOSE or the timeout
+ */
+function queryRelay(relayUrl, pubkey, timeout) {
+  return new Promise((resolve) => {
+    const events = [];
+    let ws;
+
+    const finish = () => {
+      clearTimeout(timer);
+      if (ws && ws.readyState <= WebSocket.OPEN) {
+        ws.close();
+      }
+      resolve(events);
+    };
+    const timer = setTimeout(finish, timeout);
+
+    try {
+      ws = new WebSocket(relayUrl);
+    } catch (err) {
+      return finish();
+    }
+
+    ws.on('open', () => {
+      ws.send(JSON.stringify(['REQ', 'metadata-query', { kinds: [0], authors: [pubkey], limit: 1 }]));
+    });
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        return;
+      }
+
+      const [type, , event] = message;
+      if (type === 'EVENT' && event && event.kind === 0 && event.pubkey === pubkey && verifyEvent(event)) {
+        events.push(event);
+      } else if (type === 'EOSE' || type === 'CLOSED') {
+        finish();
+      }
+    });
+
+    ws.on('error', (err) => {
+      console.warn(`Relay ${relayUrl} error:`, err.message);
+      finish();
+    });
+    ws.on('close', finish);
+  });
+}
+
+/**
+ * Creates a profile store that queries a relay pool and caches results
+ * @param {Object} options - Store options
+ * @param {Array<string>} options.relays - Relay URLs queried in parallel
+ * @param {number} options.ttl - Milliseconds a cached profile stays fresh
+ * @param {number} options.timeout - Milliseconds to wait for relays per query
+ * @returns {Object} - Profile store
+ */
+function createProfileStore({ relays = DEFAULT_RELAYS, ttl = 60 * 60 * 1000, timeout = 5000 } = {}) {
+  // pubkey -> { event, fetchedAt }
+  const cache = new Map();
+  // pubkey -> in-flight refresh promise, so concurrent logins share one query
+  const inFlight = new Map();
+
+  /**
+   * Queries all relays and keeps the newest kind 0 event
+   * @param {string} pubkey - Hex public key
+   * @returns {Promise<Object|null>} - Newest profile event, or the cached one if no relay answered
+   */
+  function refresh(pubkey) {
+    if (inFlight.has(pubkey)) {
+      return inFlight.get(pubkey);
+    }
+
+    const query = Promise.all(relays.map(relay => queryRelay(relay, pubkey, timeout)))
+      .then((results) => {
+        const newest = results.flat().reduce(
+          (best, event) => (!best || event.created_at > best.created_at ? event : best),
+          null
+        );
+
+        const cached = cache.get(pubkey);
+        if (newest && (!cached || !cached.event || newest.created_at >= cached.event.created_at)) {
+          cache.set(pubkey, { event: newest, fetchedAt: Date.now() });
+        } else if (cached) {
+          cache.set(pubkey, { ...cached, fetchedAt: Date.now() });
+        }
+
+        return cache.has(pubkey) ? cache.get(pubkey).event : null;
+      })
+      .finally(() => inFlight.delete(pubkey));
+
+    inFlight.set(pubkey, query);
+    return query;
+  }
+
+  /**
+   * Returns a cached profile immediately, refreshing it in the background when stale
+   * @param {string} pubkey - Hex public key
+   * @returns {Object|null} - Cached profile event, or null if none is known yet
+   */
+  function getCached(pubkey) {
+    const cached = cache.get(pubkey);
+    if (!cached || Date.now() - cached.fetchedAt > ttl) {
+      refresh(pubkey).catch(err => console.warn('Failed to refresh Nostr metadata:', err.message));
+    }
+    return cached ? cached.event : null;
+  }
+
+  /**
+   * Returns a fresh profile, waiting for the relays only when nothing is cached
+   * @param {string} pubkey - Hex public key
+   * @returns {Promise<Object|null>} - Profile event, or null if no relay has one
+   */
+  async function get(pubkey) {
+    const cached = getCached(pubkey);
+    return cached || refresh(pubkey);
+  }
+
+  return {
+    relays,
+    refresh,
+    getCached,
+    get
+  };
+}
+
+/**
+ * Extracts a display name from a kind 0 event
+ * @param {Object|null} event - Profile event
+ * @returns {string|null} - display_name or name, if the content has one
+ */
+function profileName(event) {
+  if (!event) {
+    return null;
+  }
+
+  try {
+    const content = JSON.parse(event.content);
+    return content.display_name || content.name || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_RELAYS,
+  parseRelayList,
+  queryRelay,
+  createProfileStore,
+  profileName
+};
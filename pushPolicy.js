@@ -0,0 +1,219 @@
+// pushPolicy.js - Branch and path protection rules enforced on pushes
+//
+// Rules live next to authorized_keys in a repository's configuration:
+//
+//   'hello-world': {
+//     authorized_keys: [...],
+//     protected_branches: ['main', 'release/*'],   // no force-push, no delete
+//     admin_branches: ['main'],                    // only admins may update
+//     protected_tags: ['v*'],                      // no moving, no delete
+//     path_restrictions: [
+//       { path: 'prescriptions/', access: 'admin' } // minimum access to change these paths
+//     ],
+//     require_signed_commits: true                  // or 'dry-run' to only log violations
+//   }
+const { ACCESS_LEVELS } = require('./repoStore');
+const { isZeroOid } = require('./receivePack');
+
+/**
+ * Matches a branch name against a pattern where "*" matches within one path segment
+ * @param {string} pattern - e.g. "release/*"
+ * @param {string} branch - Branch name without refs/heads/
+ * @returns {boolean} - True if the branch matches
+ */
+function matchesPattern(pattern, branch) {
+  const regex = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]*');
+  return new RegExp(`^${regex}$`).test(branch);
+}
+
+/**
+ * Gets the branch name of a ref
+ * @param {string} ref - Full ref name
+ * @returns {string|null} - Branch name, or null if the ref is not a branch
+ */
+function branchName(ref) {
+  return ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null;
+}
+
+/**
+ * Checks whether a branch is protected against force-pushes and deletion
+ * @param {Object} repoConfig - Repository configuration
+ * @param {string} branch - Branch name
+ * @returns {boolean} - True if the branch is protected
+ */
+function isProtectedBranch(repoConfig, branch) {
+  return (repoConfig.protected_branches || []).some(pattern => matchesPattern(pattern, branch));
+}
+
+/**
+ * Checks whether a tag is protected against being moved or deleted
+ * @param {Object} repoConfig - Repository configuration
+ * @param {string} tag - Tag name
+ * @returns {boolean} - True if the tag is protected
+ */
+function isProtectedTag(repoConfig, tag) {
+  return (repoConfig.protected_tags || []).some(pattern => matchesPattern(pattern, tag));
+}
+
+/**
+ * Checks whether only admins may update a branch
+ * @param {Object} repoConfig - Repository configuration
+ * @param {string} branch - Branch name
+ * @returns {boolean} - True if the branch is admin-only
+ */
+function isAdminBranch(repoConfig, branch) {
+  return (repoConfig.admin_branches || []).some(pattern => matchesPattern(pattern, branch));
+}
+
+/**
+ * Checks whether an access level meets a required level
+ * @param {string} access - Access level held
+ * @param {string} required - Access level required
+ * @returns {boolean} - True if access is at least as privileged as required
+ */
+function hasAccess(access, required) {
+  const held = ACCESS_LEVELS.indexOf(access);
+  return held >= 0 && held <= ACCESS_LEVELS.indexOf(required);
+}
+
+/**
+ * Reads how a repository's "require signed commits" policy is applied
+ * @param {Object} repoConfig - Repository configuration
+ * @returns {string|null} - 'enforce', 'dry-run', or null if commits need no attestation
+ */
+function signedCommitsMode(repoConfig) {
+  const value = repoConfig.require_signed_commits;
+  if (value === 'dry-run') {
+    return 'dry-run';
+  }
+  return value === true || value === 'enforce' ? 'enforce' : null;
+}
+
+/**
+ * Checks whether a repository has any rules that apply to pushes
+ * @param {Object} repoConfig - Repository configuration
+ * @returns {boolean} - True if pushes need to be inspected
+ */
+function hasPushRules(repoConfig) {
+  return ['protected_branches', 'admin_branches', 'protected_tags', 'path_restrictions']
+    .some(key => Array.isArray(repoConfig[key]) && repoConfig[key].length > 0) ||
+    signedCommitsMode(repoConfig) !== null;
+}
+
+/**
+ * Gets the revision range of the commits a ref update would add: everything new for
+ * a new ref, otherwise everything not reachable from the old value
+ * @param {Object} command - { oldOid, newOid, ref }
+ * @returns {Array<string>} - Revision arguments for git log or rev-list
+ */
+function addedRange(command) {
+  return isZeroOid(command.oldOid)
+    ? [command.newOid, '--not', '--all']
+    : [command.newOid, `^${command.oldOid}`];
+}
+
+/**
+ * Lists the paths changed by the commits a ref update would add. Clean merges
+ * are skipped, but a merge that changes files beyond its parents is included.
+ * @param {Object} command - { oldOid, newOid, ref }
+ * @param {Function} git - Runs git with the pushed objects available
+ * @returns {Promise<Array<string>>} - Changed paths
+ */
+async function changedPaths(command, git) {
+  const output = await git(['log', '--format=', '--name-only', '--no-renames', '--cc', ...addedRange(command)]);
+  return [...new Set(output.split('\n').filter(Boolean))];
+}
+
+/**
+ * Checks one ref update against the repository's rules
+ * @param {Object} command - { oldOid, newOid, ref }
+ * @param {Object} context - Push context
+ * @param {Object} context.repoConfig - Repository configuration
+ * @param {string} context.access - Access level of the pusher
+ * @param {Function} context.git - Runs git with the pushed objects available
+ * @returns {Promise<string|null>} - Reason the update is rejected, or null if allowed
+ */
+async function checkRefUpdate(command, { repoConfig, access, git }) {
+  const branch = branchName(command.ref);
+  const tag = command.ref.startsWith('refs/tags/') ? command.ref.slice('refs/tags/'.length) : null;
+
+  if (branch && isAdminBranch(repoConfig, branch) && access !== 'admin') {
+    return `only admins may update branch ${branch}`;
+  }
+
+  if (branch && isProtectedBranch(repoConfig, branch)) {
+    if (isZeroOid(command.newOid)) {
+      return `protected branch ${branch} cannot be deleted`;
+    }
+
+    if (!isZeroOid(command.oldOid)) {
+      try {
+        await git(['merge-base', '--is-ancestor', command.oldOid, command.newOid]);
+      } catch (err) {
+        if (err.code === 1) {
+          return `force-push to protected branch ${branch} is not allowed`;
+        }
+        throw err;
+      }
+    }
+  }
+
+  if (tag && isProtectedTag(repoConfig, tag) && !isZeroOid(command.oldOid)) {
+    return isZeroOid(command.newOid)
+      ? `protected tag ${tag} cannot be deleted`
+      : `protected tag ${tag} cannot be moved`;
+  }
+
+  const restrictions = (repoConfig.path_restrictions || []).filter(rule => !hasAccess(access, rule.access));
+  if (restrictions.length > 0 && !isZeroOid(command.newOid)) {
+    const paths = await changedPaths(command, git);
+    for (const rule of restrictions) {
+      const prefix = rule.path.replace(/^\/+/, '');
+      const blocked = paths.find(p => p === prefix.replace(/\/$/, '') || p.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`));
+      if (blocked) {
+        return `changes to ${blocked} require ${rule.access} access`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks that every commit a ref update would add is signed, oldest first
+ * @param {Object} command - { oldOid, newOid, ref }
+ * @param {Object} context - Push context
+ * @param {Function} context.git - Runs git with the pushed objects available
+ * @param {Function} context.checkCommit - Resolves with why a commit hash fails the policy, or null
+ * @returns {Promise<string|null>} - Reason naming the first offending commit, or null if all pass
+ */
+async function checkSignedCommits(command, { git, checkCommit }) {
+  if (isZeroOid(command.newOid)) {
+    return null;
+  }
+
+  const output = await git(['rev-list', '--reverse', '--topo-order', ...addedRange(command)]);
+  for (const hash of output.split('\n').filter(Boolean)) {
+    const problem = await checkCommit(hash);
+    if (problem) {
+      return `commit ${hash} ${problem}`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  matchesPattern,
+  branchName,
+  isProtectedBranch,
+  isProtectedTag,
+  isAdminBranch,
+  hasAccess,
+  signedCommitsMode,
+  hasPushRules,
+  checkRefUpdate,
+  checkSignedCommits
+};
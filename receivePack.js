@@ -0,0 +1,380 @@
+// receivePack.js - Helpers for inspecting and rewriting git-receive-pack requests
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+
+const FLUSH_PKT = Buffer.from('0000');
+
+// Largest pkt-line payload the git protocol allows
+const MAX_PKT_DATA = 65516;
+
+/**
+ * Checks whether an object id is the all-zero id git uses for "no object"
+ * @param {string} oid - Object id
+ * @returns {boolean} - True for a ref creation's old id or a deletion's new id
+ */
+function isZeroOid(oid) {
+  return /^0+$/.test(oid);
+}
+
+/**
+ * Encodes data as a single pkt-line
+ * @param {Buffer|string} data - Line payload
+ * @returns {Buffer} - Length-prefixed pkt-line
+ */
+function encodePktLine(data) {
+  const payload = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  const length = (payload.length + 4).toString(16).padStart(4, '0');
+  return Buffer.concat([Buffer.from(length), payload]);
+}
+
+/**
+ * Reads one pkt-line from a buffer
+ * @param {Buffer} buffer - Buffer holding pkt-lines
+ * @param {number} offset - Offset of the pkt-line
+ * @returns {Object} - { data, next } where data is null for a flush packet
+ */
+function readPktLine(buffer, offset) {
+  if (offset + 4 > buffer.length) {
+    throw new Error('Truncated pkt-line');
+  }
+
+  const length = parseInt(buffer.toString('ascii', offset, offset + 4), 16);
+  if (Number.isNaN(length) || (length > 0 && length < 4) || offset + length > buffer.length) {
+    throw new Error('Malformed pkt-line');
+  }
+
+  if (length === 0) {
+    return { data: null, next: offset + 4 };
+  }
+
+  return { data: buffer.slice(offset + 4, offset + length), next: offset + length };
+}
+
+/**
+ * Parses the ref update commands at the start of a receive-pack request
+ * @param {Buffer} body - Complete request body
+ * @returns {Object} - { commands, capabilities, shallow, pushOptions, rest } where
+ *   rest is everything after the commands (push options and the pack)
+ */
+function parseReceivePackRequest(body) {
+  const commands = [];
+  const shallow = [];
+  let capabilities = [];
+  let offset = 0;
+
+  for (;;) {
+    const { data, next } = readPktLine(body, offset);
+    offset = next;
+    if (data === null) {
+      break;
+    }
+
+    let line = data.toString('utf8');
+    if (line.startsWith('shallow ')) {
+      shallow.push(line.slice('shallow '.length).trim());
+      continue;
+    }
+
+    // The first command carries the client's capabilities after a NUL byte
+    const nul = line.indexOf('\0');
+    if (nul >= 0) {
+      capabilities = line.slice(nul + 1).trim().split(' ').filter(Boolean);
+      line = line.slice(0, nul);
+    }
+
+    const [oldOid, newOid, ref] = line.trim().split(' ');
+    if (!oldOid || !newOid || !ref) {
+      throw new Error(`Malformed ref update command: ${line.trim()}`);
+    }
+    commands.push({ oldOid, newOid, ref });
+  }
+
+  const rest = body.slice(offset);
+
+  // Push options, if negotiated, sit between the commands and the pack
+  const pushOptions = [];
+  let packOffset = 0;
+  if (capabilities.includes('push-options') && commands.length > 0) {
+    for (;;) {
+      const { data, next } = readPktLine(rest, packOffset);
+      packOffset = next;
+      if (data === null) {
+        break;
+      }
+      pushOptions.push(data.toString('utf8').replace(/\n$/, ''));
+    }
+  }
+
+  return {
+    commands,
+    capabilities,
+    shallow,
+    pushOptions,
+    rest,
+    pack: rest.slice(packOffset)
+  };
+}
+
+/**
+ * Rebuilds a receive-pack request with only some of its commands
+ * @param {Object} request - Result of parseReceivePackRequest
+ * @param {Array<Object>} commands - Commands to keep
+ * @returns {Buffer} - Request body to feed to git receive-pack
+ */
+function buildReceivePackRequest(request, commands) {
+  const lines = request.shallow.map(oid => encodePktLine(`shallow ${oid}\n`));
+
+  commands.forEach((command, index) => {
+    const line = `${command.oldOid} ${command.newOid} ${command.ref}`;
+    lines.push(encodePktLine(index === 0
+      ? `${line}\0${request.capabilities.join(' ')}\n`
+      : `${line}\n`));
+  });
+
+  return Buffer.concat([...lines, FLUSH_PKT, request.rest]);
+}
+
+/**
+ * Runs a git command and collects its output
+ * @param {Array<string>} args - Arguments to git
+ * @param {Object} options - Options passed to execFile (cwd, env, ...)
+ * @returns {Promise<string>} - stdout
+ */
+function runGit(args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { maxBuffer: 64 * 1024 * 1024, ...options }, (error, stdout, stderr) => {
+      if (error) {
+        error.stderr = stderr;
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Runs a git command with data on its stdin and collects its output
+ * @param {Array<string>} args - Arguments to git
+ * @param {string|Buffer} input - Data written to stdin
+ * @param {Object} options - Options passed to spawn (cwd, env, ...)
+ * @returns {Promise<Buffer>} - stdout
+ */
+function runGitWithInput(args, input, options = {}) {
+  return new Promise((resolve, reject) => {
+    const git = spawn('git', args, options);
+    const output = [];
+    let stderr = '';
+
+    git.stdout.on('data', chunk => output.push(chunk));
+    git.stderr.on('data', (data) => { stderr += data; });
+    git.on('error', reject);
+    git.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new Error(`git ${args[0]} failed: ${stderr.trim()}`));
+      }
+      resolve(Buffer.concat(output));
+    });
+    git.stdin.end(input);
+  });
+}
+
+/**
+ * Reads every ref of a repository
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<Map>} - Ref name to object id
+ */
+async function readRefs(repoPath) {
+  const output = await runGit(['for-each-ref', '--format=%(objectname) %(refname)'], { cwd: repoPath });
+  return new Map(output.split('\n').filter(Boolean).map((line) => {
+    const [oid, ...ref] = line.split(' ');
+    return [ref.join(' '), oid];
+  }));
+}
+
+/**
+ * Lists commits reachable from new ref tips that were not reachable before, parents first
+ * @param {string} repoPath - Path to the repository
+ * @param {Array<string>} tips - Object ids the refs point at now
+ * @param {Array<string>} known - Object ids the refs pointed at before
+ * @returns {Promise<Array<string>>} - Commit ids
+ */
+async function listNewCommits(repoPath, tips, known) {
+  if (tips.length === 0) {
+    return [];
+  }
+  // Tips go through stdin, since a repository can have more refs than fit on a command line
+  const input = [...tips, ...known.map(oid => `^${oid}`)].join('\n') + '\n';
+  const output = await runGitWithInput(['rev-list', '--reverse', '--topo-order', '--stdin'], input, { cwd: repoPath });
+  return output.toString().split('\n').filter(Boolean);
+}
+
+/**
+ * Indexes a pushed pack into a temporary object directory that borrows the
+ * repository's objects, so pushed commits can be inspected without adding
+ * anything to the repository itself.
+ * @param {string} repoPath - Path to the repository
+ * @param {Buffer} pack - Pack data from the request
+ * @returns {Promise<Object>} - { env, cleanup } where env exposes the quarantined objects to git
+ */
+async function createQuarantine(repoPath, pack) {
+  const objectsDir = path.resolve(repoPath, (await runGit(['rev-parse', '--git-path', 'objects'], { cwd: repoPath })).trim());
+  const quarantineDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mgit-quarantine-'));
+  const cleanup = () => fs.rmSync(quarantineDir, { recursive: true, force: true });
+
+  const env = {
+    ...process.env,
+    GIT_OBJECT_DIRECTORY: quarantineDir,
+    GIT_ALTERNATE_OBJECT_DIRECTORIES: objectsDir
+  };
+
+  if (pack.length === 0) {
+    return { env, cleanup };
+  }
+
+  try {
+    fs.mkdirSync(path.join(quarantineDir, 'pack'));
+    await new Promise((resolve, reject) => {
+      const indexPack = spawn('git', ['index-pack', '--stdin', '--fix-thin'], { cwd: repoPath, env });
+      let stderr = '';
+      indexPack.stdout.resume();
+      indexPack.stderr.on('data', (data) => { stderr += data; });
+      indexPack.on('error', reject);
+      indexPack.on('close', (code) => {
+        if (code === 0) {
+          return resolve();
+        }
+        reject(new Error(`git index-pack failed: ${stderr.trim()}`));
+      });
+      indexPack.stdin.end(pack);
+    });
+  } catch (err) {
+    cleanup();
+    throw err;
+  }
+
+  return { env, cleanup };
+}
+
+/**
+ * Formats report-status lines as pkt-lines ending in a flush
+ * @param {string} unpackStatus - e.g. "ok"
+ * @param {Array<Object>} results - { ref, reason } entries; reason null means ok
+ * @returns {Buffer} - Report-status section
+ */
+function formatReportStatus(unpackStatus, results) {
+  return Buffer.concat([
+    encodePktLine(`unpack ${unpackStatus}\n`),
+    ...results.map(({ ref, reason }) => encodePktLine(reason ? `ng ${ref} ${reason}\n` : `ok ${ref}\n`)),
+    FLUSH_PKT
+  ]);
+}
+
+/**
+ * Wraps data in side-band channel 1 packets
+ * @param {Buffer} data - Data to wrap
+ * @returns {Buffer} - Side-band packets (without the final flush)
+ */
+function encodeSideBand(data) {
+  const packets = [];
+  for (let offset = 0; offset < data.length; offset += MAX_PKT_DATA - 1) {
+    packets.push(encodePktLine(Buffer.concat([Buffer.from([1]), data.slice(offset, offset + MAX_PKT_DATA - 1)])));
+  }
+  return Buffer.concat(packets);
+}
+
+/**
+ * Builds the full response for a push in which git was never run because
+ * every command was rejected
+ * @param {Array<Object>} rejections - { ref, reason } entries
+ * @param {Array<string>} capabilities - Capabilities the client asked for
+ * @param {string} unpackStatus - Status of unpacking the pack, "ok" unless it failed
+ * @returns {Buffer} - Response body
+ */
+function buildRejectionResponse(rejections, capabilities, unpackStatus = 'ok') {
+  if (!capabilities.includes('report-status') && !capabilities.includes('report-status-v2')) {
+    return Buffer.alloc(0);
+  }
+
+  const report = formatReportStatus(unpackStatus, rejections);
+  if (capabilities.includes('side-band-64k') || capabilities.includes('side-band')) {
+    return Buffer.concat([encodeSideBand(report), FLUSH_PKT]);
+  }
+  return report;
+}
+
+/**
+ * Adds ng lines for rejected refs to git's own receive-pack response
+ * @param {Buffer} output - git receive-pack stdout
+ * @param {Array<Object>} rejections - { ref, reason } entries
+ * @param {Array<string>} capabilities - Capabilities the client asked for
+ * @returns {Buffer} - Response body including the rejections
+ */
+function mergeReportStatus(output, rejections, capabilities) {
+  if (rejections.length === 0 ||
+      (!capabilities.includes('report-status') && !capabilities.includes('report-status-v2'))) {
+    return output;
+  }
+
+  const rejectionLines = rejections.map(({ ref, reason }) => encodePktLine(`ng ${ref} ${reason}\n`));
+
+  // Inserts the ng lines in front of the flush that ends a report
+  const addToReport = (report) => {
+    const lines = [];
+    let offset = 0;
+    while (offset < report.length) {
+      const { data, next } = readPktLine(report, offset);
+      if (data === null) {
+        return Buffer.concat([...lines, ...rejectionLines, report.slice(offset)]);
+      }
+      lines.push(report.slice(offset, next));
+      offset = next;
+    }
+    return Buffer.concat([...lines, ...rejectionLines, FLUSH_PKT]);
+  };
+
+  if (!capabilities.includes('side-band-64k') && !capabilities.includes('side-band')) {
+    return addToReport(output);
+  }
+
+  // With side-band the report is carried inside channel 1 packets
+  const otherPackets = [];
+  const report = [];
+  let offset = 0;
+  while (offset < output.length) {
+    const { data, next } = readPktLine(output, offset);
+    offset = next;
+    if (data === null) {
+      break;
+    }
+    if (data[0] === 1) {
+      report.push(data.slice(1));
+    } else {
+      otherPackets.push(encodePktLine(data));
+    }
+  }
+
+  return Buffer.concat([
+    ...otherPackets,
+    encodeSideBand(addToReport(Buffer.concat(report))),
+    FLUSH_PKT
+  ]);
+}
+
+module.exports = {
+  FLUSH_PKT,
+  isZeroOid,
+  encodePktLine,
+  readPktLine,
+  parseReceivePackRequest,
+  buildReceivePackRequest,
+  runGit,
+  runGitWithInput,
+  readRefs,
+  listNewCommits,
+  createQuarantine,
+  formatReportStatus,
+  buildRejectionResponse,
+  mergeReportStatus
+};
@@ -0,0 +1,929 @@
+// repoBrowser.js - Read-only views of a repository straight from the git object database
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { Transform, PassThrough } = require('stream');
+const { runGit } = require('./receivePack');
+const diffParser = require('./diffParser');
+
+// ls-tree object types mapped to the entry types returned by the API
+const ENTRY_TYPES = {
+  blob: 'file',
+  tree: 'dir',
+  commit: 'submodule'
+};
+
+/**
+ * Checks whether a ref name is safe to pass to git on the command line
+ * @param {string} ref - Branch, tag or commit
+ * @returns {boolean} - True if the ref can not be mistaken for an option or range
+ */
+function isSafeRef(ref) {
+  return typeof ref === 'string' && ref.length > 0 && !ref.startsWith('-') && !ref.includes('..') && !/[\s:\\]/.test(ref);
+}
+
+/**
+ * Resolves a branch, tag or commit to a commit id
+ * @param {string} repoPath - Path to the repository
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<string|null>} - Full commit id, or null if the ref does not name a commit
+ */
+async function resolveCommit(repoPath, ref) {
+  if (!isSafeRef(ref)) {
+    return null;
+  }
+
+  try {
+    const output = await runGit(['rev-parse', '--verify', '--quiet', '--end-of-options', `${ref}^{commit}`], { cwd: repoPath });
+    return output.trim() || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Splits "<ref>/<path>" where the ref itself may contain slashes (e.g. release/1.0/docs/a.md)
+ * by matching the longest branch or tag name at the start
+ * @param {string} repoPath - Path to the repository
+ * @param {string} refAndPath - Ref followed by an optional path
+ * @returns {Promise<Object>} - { ref, path }
+ */
+async function splitRefPath(repoPath, refAndPath) {
+  const value = (refAndPath || '').replace(/^\/+/, '');
+  const output = await runGit(['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/tags'], { cwd: repoPath });
+
+  const ref = output.split('\n')
+    .filter(Boolean)
+    .map(name => name.replace(/^refs\/(heads|tags)\//, ''))
+    .filter(name => value === name || value.startsWith(`${name}/`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (ref) {
+    return { ref, path: value.slice(ref.length + 1) };
+  }
+
+  // Not a branch or tag, so the first segment is a commit id or something like HEAD
+  const [first, ...rest] = value.split('/');
+  return { ref: first, path: rest.join('/') };
+}
+
+/**
+ * Normalizes a path within the repository
+ * @param {string} treePath - e.g. "/labs/2024/"
+ * @returns {string|null} - e.g. "labs/2024", "" for the root, or null if the path leaves the repository
+ */
+function cleanTreePath(treePath) {
+  const normalized = path.posix.normalize(`${treePath || ''}`.replace(/^\/+/, '') || '.').replace(/\/+$/, '');
+  if (normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+  return normalized === '.' ? '' : normalized;
+}
+
+/**
+ * Parses NUL separated `git ls-tree -l -z` output
+ * @param {string} output - ls-tree output
+ * @returns {Array<Object>} - { name, path, type, mode, sha, size } entries
+ */
+function parseLsTree(output) {
+  return output.split('\0').filter(Boolean).map((line) => {
+    const tab = line.indexOf('\t');
+    const [mode, objectType, sha, size] = line.slice(0, tab).split(/\s+/);
+    const entryPath = line.slice(tab + 1);
+
+    return {
+      name: entryPath.slice(entryPath.lastIndexOf('/') + 1),
+      path: entryPath,
+      type: mode === '120000' ? 'symlink' : (ENTRY_TYPES[objectType] || objectType),
+      mode,
+      sha,
+      size: size === '-' ? null : parseInt(size, 10)
+    };
+  });
+}
+
+/**
+ * Looks up a path in a commit's tree and lists it when it is a directory
+ * @param {string} repoPath - Path to the repository
+ * @param {string} commit - Commit id
+ * @param {string} treePath - Path within the repository, empty for the root
+ * @returns {Promise<Object|null>} - { type: 'dir', entries } or { type, entry } for anything else,
+ *   or null if the path does not exist at that commit
+ */
+async function getTree(repoPath, commit, treePath) {
+  const cleanPath = cleanTreePath(treePath);
+  if (cleanPath === null) {
+    return null;
+  }
+
+  if (cleanPath) {
+    const [entry] = parseLsTree(await runGit(['ls-tree', '-l', '-z', commit, '--', cleanPath], { cwd: repoPath }));
+    if (!entry) {
+      return null;
+    }
+    if (entry.type !== 'dir') {
+      return { type: entry.type, entry };
+    }
+  }
+
+  const args = ['ls-tree', '-l', '-z', commit];
+  if (cleanPath) {
+    args.push('--', `${cleanPath}/`);
+  }
+  const entries = parseLsTree(await runGit(args, { cwd: repoPath }));
+
+  // Directories first, then by name, as file browsers usually show them
+  entries.sort((a, b) => (a.type === 'dir') === (b.type === 'dir')
+    ? a.name.localeCompare(b.name)
+    : (a.type === 'dir' ? -1 : 1));
+
+  return { type: 'dir', entries };
+}
+
+/**
+ * Finds the last commit touching each entry of a directory with a single history walk.
+ * git log is stopped as soon as every entry has been seen, so a large directory costs
+ * one process rather than one per entry.
+ * @param {string} repoPath - Path to the repository
+ * @param {string} commit - Commit id to walk back from
+ * @param {string} dirPath - Directory within the repository, empty for the root
+ * @param {Array<string>} names - Entry names in the directory
+ * @returns {Promise<Object>} - Map of entry name to { hash, message, author, date }
+ */
+function getLastCommits(repoPath, commit, dirPath, names) {
+  const prefix = cleanTreePath(dirPath) || '';
+  const pending = new Set(names);
+  const found = {};
+
+  if (pending.size === 0) {
+    return Promise.resolve(found);
+  }
+
+  return new Promise((resolve, reject) => {
+    const args = ['-c', 'core.quotePath=false', 'log', '--format=%x1e%H%x1f%an%x1f%at%x1f%s', '--name-only', '--no-renames', commit];
+    if (prefix) {
+      args.push('--', prefix);
+    }
+
+    const git = spawn('git', args, { cwd: repoPath });
+    const lines = readline.createInterface({ input: git.stdout });
+    let current = null;
+    let stderr = '';
+    let done = false;
+
+    const finish = () => {
+      if (!done) {
+        done = true;
+        lines.close();
+        git.kill();
+        resolve(found);
+      }
+    };
+
+    lines.on('line', (line) => {
+      if (line.startsWith('\x1e')) {
+        const [hash, author, timestamp, message] = line.slice(1).split('\x1f');
+        current = {
+          hash,
+          message,
+          author,
+          date: new Date(parseInt(timestamp, 10) * 1000).toISOString()
+        };
+        return;
+      }
+
+      if (!line || !current) {
+        return;
+      }
+
+      // Reduce the changed file to the directory entry that contains it
+      const relative = prefix ? line.slice(prefix.length + 1) : line;
+      const name = relative.split('/')[0];
+      if (pending.delete(name)) {
+        found[name] = current;
+        if (pending.size === 0) {
+          finish();
+        }
+      }
+    });
+
+    git.stderr.on('data', (data) => { stderr += data; });
+    git.on('error', reject);
+    git.on('close', (code) => {
+      if (!done && code !== 0) {
+        done = true;
+        return reject(new Error(`git log failed: ${stderr.trim()}`));
+      }
+      finish();
+    });
+  });
+}
+
+/**
+ * Reads the first bytes of a blob, stopping git once enough has been read
+ * @param {string} repoPath - Path to the repository
+ * @param {string} sha - Blob id
+ * @param {number} length - Number of bytes wanted
+ * @returns {Promise<Buffer>} - Up to length bytes from the start of the blob
+ */
+function readBlobHead(repoPath, sha, length) {
+  return new Promise((resolve, reject) => {
+    const git = spawn('git', ['cat-file', 'blob', sha], { cwd: repoPath });
+    const chunks = [];
+    let received = 0;
+    let done = false;
+
+    const finish = () => {
+      if (!done) {
+        done = true;
+        git.kill();
+        resolve(Buffer.concat(chunks).slice(0, length));
+      }
+    };
+
+    git.stdout.on('data', (chunk) => {
+      chunks.push(chunk);
+      received += chunk.length;
+      if (received >= length) {
+        finish();
+      }
+    });
+    git.on('error', reject);
+    git.on('close', (code) => {
+      if (!done && code !== 0) {
+        done = true;
+        return reject(new Error(`git cat-file failed for ${sha}`));
+      }
+      finish();
+    });
+  });
+}
+
+/**
+ * Streams a blob, or a byte range of it, straight from the object database
+ * @param {string} repoPath - Path to the repository
+ * @param {string} sha - Blob id
+ * @param {Object} range - Optional { start, end } byte range, both inclusive
+ * @returns {stream.Readable} - Blob content; destroying it stops git
+ */
+function createBlobStream(repoPath, sha, range = null) {
+  const git = spawn('git', ['cat-file', 'blob', sha], { cwd: repoPath });
+  const start = range ? range.start : 0;
+  const end = range ? range.end : Infinity;
+  let offset = 0;
+  let ended = false;
+
+  const output = new Transform({
+    transform(chunk, encoding, callback) {
+      // Chunks already queued when the range was complete are dropped, not pushed after the end
+      if (ended) {
+        return callback();
+      }
+
+      const chunkStart = offset;
+      offset += chunk.length;
+
+      if (offset > start && chunkStart <= end) {
+        this.push(chunk.slice(Math.max(0, start - chunkStart), Math.min(chunk.length, end - chunkStart + 1)));
+      }
+
+      // Nothing past the end of the range is needed
+      if (offset > end) {
+        ended = true;
+        git.stdout.unpipe(output);
+        git.kill();
+        this.push(null);
+      }
+      callback();
+    }
+  });
+
+  git.on('error', err => output.destroy(err));
+  output.on('close', () => git.kill());
+  git.stdout.pipe(output);
+
+  return output;
+}
+
+// git log format for commit records: fields split by \x1f, records by NUL (-z)
+const COMMIT_FORMAT = '%H%x1f%P%x1f%an%x1f%ae%x1f%at%x1f%cn%x1f%ce%x1f%ct%x1f%B';
+
+/**
+ * Parses one commit record written with COMMIT_FORMAT
+ * @param {string} record - Record text
+ * @returns {Object} - { hash, parents, author, committer, subject, message }
+ */
+function parseCommitRecord(record) {
+  const [hash, parents, authorName, authorEmail, authorTime, committerName, committerEmail, commitTime, ...messageParts] = record.split('\x1f');
+  const message = messageParts.join('\x1f').replace(/\n+$/, '');
+
+  return {
+    hash,
+    parents: parents.split(' ').filter(Boolean),
+    author: {
+      name: authorName,
+      email: authorEmail,
+      date: new Date(parseInt(authorTime, 10) * 1000).toISOString()
+    },
+    committer: {
+      name: committerName,
+      email: committerEmail,
+      date: new Date(parseInt(commitTime, 10) * 1000).toISOString()
+    },
+    subject: message.split('\n')[0],
+    message
+  };
+}
+
+/**
+ * Escapes text for use in a POSIX extended regular expression
+ * @param {string} text - Plain text
+ * @returns {string} - Pattern matching the text literally
+ */
+function escapeRegex(text) {
+  return text.replace(/[.[\](){}*+?^$|\\]/g, '\\$&');
+}
+
+/**
+ * Wraps a failed git search, flagging errors caused by an invalid pattern
+ * @param {string} command - git command that failed
+ * @param {string} stderr - Its error output
+ * @returns {Error} - Error with invalidPattern set when the pattern was at fault
+ */
+function searchError(command, stderr) {
+  const err = new Error(`${command} failed: ${stderr.trim()}`);
+  err.invalidPattern = /fatal: (command line|-e option|invalid regex)/.test(stderr);
+  return err;
+}
+
+/**
+ * Walks the history of a commit and returns one page of matching commits. git applies the
+ * path, author, date and message filters; `filter` can drop further commits in JS, so the
+ * page position is counted in commits read from git rather than commits returned.
+ * @param {string} repoPath - Path to the repository
+ * @param {Object} options - Walk options
+ * @param {string} options.commit - Commit id to start from
+ * @param {string} options.exclude - Optional commit whose history is left out
+ * @param {number} options.skip - Commits of the walk already consumed by earlier pages
+ * @param {number} options.limit - Maximum number of commits to return
+ * @param {string} options.path - Only commits touching this path
+ * @param {string} options.author - Author name or email substring
+ * @param {string} options.since - Only commits after this date
+ * @param {string} options.until - Only commits before this date
+ * @param {string} options.query - Commit message substring
+ * @param {string} options.changes - Only commits whose diff adds or removes a line containing this
+ * @param {boolean} options.regex - Treat query and changes as extended regular expressions
+ * @param {Function} options.filter - Optional predicate applied to parsed commits
+ * @param {number} options.timeout - Optional milliseconds before the walk is stopped
+ * @returns {Promise<Object>} - { commits, consumed, hasMore, timedOut } where consumed is the walk position after the page
+ */
+function listCommits(repoPath, { commit, exclude, skip = 0, limit, path: filterPath, author, since, until, query, changes, regex = false, filter, timeout }) {
+  return new Promise((resolve, reject) => {
+    const args = ['log', '-z', `--format=${COMMIT_FORMAT}`, '--regexp-ignore-case', regex ? '--extended-regexp' : '--fixed-strings'];
+    if (skip > 0) args.push(`--skip=${skip}`);
+    if (author) args.push(`--author=${author}`);
+    if (since) args.push(`--since=${since}`);
+    if (until) args.push(`--until=${until}`);
+    if (query) args.push(`--grep=${query}`);
+    // -G always takes a regular expression, so plain text is escaped first
+    if (changes) args.push(`-G${regex ? changes : escapeRegex(changes)}`);
+    args.push(commit);
+    if (exclude) args.push(`^${exclude}`);
+    if (filterPath) args.push('--', filterPath);
+
+    const git = spawn('git', args, { cwd: repoPath });
+    const commits = [];
+    let consumed = skip;
+    let pending = '';
+    let stderr = '';
+    let done = false;
+
+    const finish = (hasMore, timedOut = false) => {
+      if (!done) {
+        done = true;
+        clearTimeout(timer);
+        git.kill();
+        resolve({ commits, consumed, hasMore, timedOut });
+      }
+    };
+    // A -G search diffs every commit it walks past, which can take long on a big history
+    const timer = timeout ? setTimeout(() => finish(false, true), timeout) : null;
+
+    const handleRecord = (record) => {
+      if (done || !record) {
+        return;
+      }
+      const parsed = parseCommitRecord(record.replace(/^\n/, ''));
+      if (filter && !filter(parsed)) {
+        consumed++;
+        return;
+      }
+      // One extra match tells whether another page exists
+      if (commits.length === limit) {
+        return finish(true);
+      }
+      commits.push(parsed);
+      consumed++;
+    };
+
+    git.stdout.setEncoding('utf8');
+    git.stdout.on('data', (chunk) => {
+      const records = (pending + chunk).split('\0');
+      pending = records.pop();
+      records.forEach(handleRecord);
+    });
+    git.stderr.on('data', (data) => { stderr += data; });
+    git.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    git.on('close', (code) => {
+      if (done) {
+        return;
+      }
+      if (code !== 0) {
+        done = true;
+        clearTimeout(timer);
+        return reject(searchError('git log', stderr));
+      }
+      handleRecord(pending);
+      finish(false);
+    });
+  });
+}
+
+/**
+ * Searches file contents at a commit with git grep, returning one page of matching lines.
+ * Like listCommits, the page position counts lines read from git, so filtered lines still
+ * move the cursor on.
+ * @param {string} repoPath - Path to the repository
+ * @param {Object} options - Search options
+ * @param {string} options.commit - Commit id to search
+ * @param {string} options.pattern - Text or pattern to find
+ * @param {boolean} options.regex - Treat the pattern as an extended regular expression
+ * @param {boolean} options.ignoreCase - Match case-insensitively
+ * @param {Array<string>} options.pathspecs - Optional git pathspecs limiting the search
+ * @param {number} options.skip - Matches already consumed by earlier pages
+ * @param {number} options.limit - Maximum number of matches to return
+ * @param {number} options.timeout - Milliseconds before the search is stopped
+ * @param {Function} options.filter - Optional predicate applied to matches
+ * @returns {Promise<Object>} - { matches: [{ path, line, content }], consumed, hasMore, timedOut }
+ */
+function grepTree(repoPath, { commit, pattern, regex = false, ignoreCase = false, pathspecs = [], skip = 0, limit, timeout, filter }) {
+  return new Promise((resolve, reject) => {
+    const args = ['grep', '-z', '-n', '-I', '--no-color', regex ? '--extended-regexp' : '--fixed-strings'];
+    if (ignoreCase) args.push('--ignore-case');
+    args.push('-e', pattern, commit, '--', ...pathspecs);
+
+    const git = spawn('git', args, { cwd: repoPath });
+    const matches = [];
+    const prefix = `${commit}:`;
+    let seen = 0;
+    let consumed = skip;
+    let pending = '';
+    let stderr = '';
+    let done = false;
+
+    const finish = (hasMore, timedOut = false) => {
+      if (!done) {
+        done = true;
+        clearTimeout(timer);
+        git.kill();
+        resolve({ matches, consumed, hasMore, timedOut });
+      }
+    };
+    const timer = timeout ? setTimeout(() => finish(false, true), timeout) : null;
+
+    // Lines look like "<commit>:<path>\0<line number>\0<content>"
+    const handleLine = (line) => {
+      if (done || !line) {
+        return;
+      }
+      if (seen++ < skip) {
+        return;
+      }
+      const [file, number, ...content] = line.split('\0');
+      const match = {
+        path: file.startsWith(prefix) ? file.slice(prefix.length) : file,
+        line: parseInt(number, 10),
+        content: content.join('\0')
+      };
+      if (filter && !filter(match)) {
+        consumed++;
+        return;
+      }
+      if (matches.length === limit) {
+        return finish(true);
+      }
+      matches.push(match);
+      consumed++;
+    };
+
+    git.stdout.setEncoding('utf8');
+    git.stdout.on('data', (chunk) => {
+      const lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      lines.forEach(handleLine);
+    });
+    git.stderr.on('data', (data) => { stderr += data; });
+    git.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    git.on('close', (code) => {
+      if (done) {
+        return;
+      }
+      // git grep exits with 1 when nothing matched
+      if (code !== 0 && code !== 1) {
+        done = true;
+        clearTimeout(timer);
+        return reject(searchError('git grep', stderr));
+      }
+      handleLine(pending);
+      finish(false);
+    });
+  });
+}
+
+/**
+ * Adds surrounding lines to search matches by reading the matched files
+ * @param {string} repoPath - Path to the repository
+ * @param {string} commit - Commit the matches were found at
+ * @param {Array<Object>} matches - Matches from grepTree
+ * @param {number} context - Lines wanted before and after each match
+ * @param {number} maxFileSize - Files larger than this get no context
+ * @returns {Promise<Array<Object>>} - Matches with before and after arrays of { line, content }
+ */
+async function addMatchContext(repoPath, commit, matches, context, maxFileSize) {
+  const files = new Map();
+  for (const match of matches) {
+    if (!files.has(match.path)) {
+      const content = await readBlobHead(repoPath, `${commit}:${match.path}`, maxFileSize + 1);
+      files.set(match.path, content.length > maxFileSize ? null : content.toString('utf8').replace(/\n$/, '').split('\n'));
+    }
+  }
+
+  return matches.map((match) => {
+    const lines = files.get(match.path);
+    if (!lines) {
+      return { ...match, before: [], after: [] };
+    }
+    const around = (from, to) => lines.slice(Math.max(0, from - 1), Math.max(0, to))
+      .map((content, index) => ({ line: Math.max(1, from) + index, content }));
+    return {
+      ...match,
+      before: around(match.line - context, match.line - 1),
+      after: around(match.line + 1, Math.min(lines.length, match.line + context))
+    };
+  });
+}
+
+// Tree id of an empty tree, used as the base when diffing a root commit
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// Diff options shared by the stats and patch runs so both list the same files in the same order
+const DIFF_ARGS = ['-c', 'core.quotePath=false', 'diff', '--no-color', '--no-ext-diff', '--no-textconv', '-M', '-C'];
+
+/**
+ * Reads a single commit
+ * @param {string} repoPath - Path to the repository
+ * @param {string} commit - Commit id
+ * @returns {Promise<Object>} - Parsed commit, as returned by parseCommitRecord
+ */
+async function getCommit(repoPath, commit) {
+  const output = await runGit(['log', '-1', '-z', `--format=${COMMIT_FORMAT}`, commit, '--'], { cwd: repoPath });
+  return parseCommitRecord(output.replace(/\0$/, ''));
+}
+
+/**
+ * Reads at most maxBytes of a command's output, stopping the command once the limit is hit
+ * @param {Array<string>} args - Arguments to git
+ * @param {string} repoPath - Path to the repository
+ * @param {number} maxBytes - Output limit
+ * @returns {Promise<Object>} - { output, truncated }
+ */
+function readLimited(args, repoPath, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const git = spawn('git', args, { cwd: repoPath });
+    const chunks = [];
+    let received = 0;
+    let stderr = '';
+    let done = false;
+
+    const finish = (truncated) => {
+      if (!done) {
+        done = true;
+        git.kill();
+        // Keep whole lines only, so a cut never produces half a diff line
+        let output = Buffer.concat(chunks).slice(0, maxBytes).toString('utf8');
+        if (truncated) {
+          output = output.slice(0, output.lastIndexOf('\n') + 1);
+        }
+        resolve({ output, truncated });
+      }
+    };
+
+    git.stdout.on('data', (chunk) => {
+      chunks.push(chunk);
+      received += chunk.length;
+      if (received > maxBytes) {
+        finish(true);
+      }
+    });
+    git.stderr.on('data', (data) => { stderr += data; });
+    git.on('error', reject);
+    git.on('close', (code) => {
+      if (!done && code !== 0) {
+        done = true;
+        return reject(new Error(`git failed: ${stderr.trim()}`));
+      }
+      finish(false);
+    });
+  });
+}
+
+/**
+ * Diffs two commits into structured files. Stats come from a --numstat run covering every
+ * file; the patch itself is cut off after maxBytes, and files past that point are returned
+ * with their stats but no hunks.
+ * @param {string} repoPath - Path to the repository
+ * @param {string|null} base - Base commit, or null to diff against an empty tree
+ * @param {string} head - Head commit
+ * @param {Object} options - Diff options
+ * @param {Array<string>} options.paths - Limit the diff to these paths
+ * @param {number} options.maxBytes - Patch size limit
+ * @param {number} options.maxLinesPerFile - Diff lines kept per file
+ * @returns {Promise<Object>} - { files, stats: { files, additions, deletions }, truncated }
+ */
+async function diffCommits(repoPath, base, head, { paths = [], maxBytes, maxLinesPerFile }) {
+  const range = [base || EMPTY_TREE, head, '--', ...paths];
+
+  const numstat = diffParser.parseNumstat(await runGit([...DIFF_ARGS, '--numstat', '-z', ...range], { cwd: repoPath }));
+  const patch = await readLimited([...DIFF_ARGS, '-p', '--full-index', ...range], repoPath, maxBytes);
+  const parsed = diffParser.parsePatch(patch.output, { maxLinesPerFile });
+
+  const files = numstat.map((stat, index) => {
+    const file = parsed[index];
+    // The last parsed file may have been cut off along with the patch
+    const complete = file && (file.newPath || file.oldPath) === stat.newPath &&
+      (!patch.truncated || index < parsed.length - 1);
+    if (!complete) {
+      return {
+        status: stat.oldPath === stat.newPath ? 'modified' : 'renamed',
+        oldPath: stat.oldPath,
+        newPath: stat.newPath,
+        binary: stat.binary,
+        additions: stat.additions,
+        deletions: stat.deletions,
+        hunks: file ? file.hunks : [],
+        truncated: true
+      };
+    }
+    return { ...file, additions: stat.additions, deletions: stat.deletions, binary: file.binary || stat.binary };
+  });
+
+  return {
+    files,
+    stats: {
+      files: files.length,
+      additions: files.reduce((sum, file) => sum + file.additions, 0),
+      deletions: files.reduce((sum, file) => sum + file.deletions, 0)
+    },
+    truncated: files.some(file => file.truncated)
+  };
+}
+
+/**
+ * Finds the best common ancestor of two commits
+ * @param {string} repoPath - Path to the repository
+ * @param {string} base - Base commit
+ * @param {string} head - Head commit
+ * @returns {Promise<string|null>} - Merge base, or null if the histories are unrelated
+ */
+async function getMergeBase(repoPath, base, head) {
+  try {
+    return (await runGit(['merge-base', base, head], { cwd: repoPath })).trim() || null;
+  } catch (err) {
+    if (err.code === 1) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Counts commits on each side of two commits' histories
+ * @param {string} repoPath - Path to the repository
+ * @param {string} base - Base commit
+ * @param {string} head - Head commit
+ * @param {string} filterPath - Optional path; only commits touching it are counted
+ * @returns {Promise<Object>} - { ahead, behind } where ahead counts commits only in head
+ */
+async function countAheadBehind(repoPath, base, head, filterPath) {
+  const args = ['rev-list', '--left-right', '--count', `${base}...${head}`];
+  if (filterPath) args.push('--', filterPath);
+  const output = await runGit(args, { cwd: repoPath });
+  const [behind, ahead] = output.trim().split(/\s+/).map(count => parseInt(count, 10));
+  return { ahead, behind };
+}
+
+/**
+ * Parses `git blame --porcelain` output into ranges of consecutive lines from the same commit
+ * @param {string} output - Porcelain blame output
+ * @returns {Object} - { commits, ranges } where commits maps a hash to its author and summary
+ */
+function parseBlame(output) {
+  const commits = {};
+  const ranges = [];
+  const lines = output.split('\n');
+  let current = null;
+  let range = null;
+
+  for (const line of lines) {
+    if (line.startsWith('\t')) {
+      const content = line.slice(1);
+
+      // Extend the previous range when the same commit continues on the next line
+      if (range && range.commit === current.hash && range.originalPath === current.filename &&
+          range.endLine + 1 === current.finalLine) {
+        range.endLine = current.finalLine;
+        range.lines.push(content);
+      } else {
+        range = {
+          commit: current.hash,
+          startLine: current.finalLine,
+          endLine: current.finalLine,
+          originalStartLine: current.originalLine,
+          originalPath: current.filename,
+          lines: [content]
+        };
+        ranges.push(range);
+      }
+      continue;
+    }
+
+    const header = line.match(/^([0-9a-f]{40,64}) (\d+) (\d+)(?: \d+)?$/);
+    if (header) {
+      const hash = header[1];
+      if (!commits[hash]) {
+        commits[hash] = { hash, author: {}, summary: null, boundary: false };
+      }
+      current = {
+        hash,
+        originalLine: parseInt(header[2], 10),
+        finalLine: parseInt(header[3], 10),
+        filename: current && current.hash === hash ? current.filename : commits[hash].filename
+      };
+      continue;
+    }
+
+    if (!current) {
+      continue;
+    }
+
+    const space = line.indexOf(' ');
+    const key = space < 0 ? line : line.slice(0, space);
+    const value = space < 0 ? '' : line.slice(space + 1);
+    const commit = commits[current.hash];
+
+    if (key === 'author') {
+      commit.author.name = value;
+    } else if (key === 'author-mail') {
+      commit.author.email = value.replace(/^<|>$/g, '');
+    } else if (key === 'author-time') {
+      commit.author.date = new Date(parseInt(value, 10) * 1000).toISOString();
+    } else if (key === 'summary') {
+      commit.summary = value;
+    } else if (key === 'boundary') {
+      commit.boundary = true;
+    } else if (key === 'filename') {
+      current.filename = value;
+      commit.filename = value;
+    }
+  }
+
+  Object.values(commits).forEach((commit) => {
+    delete commit.filename;
+  });
+
+  return { commits, ranges };
+}
+
+/**
+ * Blames a file as of a commit
+ * @param {string} repoPath - Path to the repository
+ * @param {string} commit - Commit id
+ * @param {string} filePath - File within the repository
+ * @param {Object} options - Blame options
+ * @param {boolean} options.ignoreWhitespace - Ignore whitespace changes (-w)
+ * @param {boolean} options.detectMoves - Follow lines moved within the file (-M)
+ * @param {boolean} options.detectCopies - Follow lines moved or copied from other files (-C)
+ * @returns {Promise<Object>} - { commits, ranges }, see parseBlame
+ */
+async function getBlame(repoPath, commit, filePath, { ignoreWhitespace, detectMoves, detectCopies } = {}) {
+  const args = ['-c', 'core.quotePath=false', 'blame', '--porcelain'];
+  if (ignoreWhitespace) args.push('-w');
+  if (detectMoves) args.push('-M');
+  if (detectCopies) args.push('-C');
+  args.push(commit, '--', filePath);
+
+  return parseBlame(await runGit(args, { cwd: repoPath }));
+}
+
+/**
+ * Lists the commits reachable from a commit, newest first
+ * @param {string} repoPath - Path to the repository
+ * @param {string} commit - Commit id to walk back from
+ * @param {string} filterPath - Optional path the commits must touch
+ * @returns {Promise<Array<string>>} - Commit ids
+ */
+async function listCommitIds(repoPath, commit, filterPath) {
+  const args = ['rev-list', commit, '--'];
+  if (filterPath) {
+    args.push(filterPath);
+  }
+  return (await runGit(args, { cwd: repoPath })).split('\n').filter(Boolean);
+}
+
+// Archive formats git can write, by the file extension they are requested with
+const ARCHIVE_FORMATS = {
+  '.tar.gz': 'tar.gz',
+  '.zip': 'zip'
+};
+
+/**
+ * Streams `git archive` of a commit
+ * @param {string} repoPath - Path to the repository
+ * @param {string} commit - Commit id
+ * @param {Object} options - Archive options
+ * @param {string} options.format - tar.gz or zip
+ * @param {string} options.prefix - Directory the files are placed under, ending in / (or empty)
+ * @param {string} options.path - Optional path to limit the archive to
+ * @param {Object} options.extraFiles - Generated files added next to the tree, as a map of name to content
+ * @returns {stream.Readable} - Archive data; destroying it stops git
+ */
+function createArchiveStream(repoPath, commit, { format, prefix = '', path: archivePath, extraFiles = {} }) {
+  const args = ['archive', `--format=${format}`, `--prefix=${prefix}`];
+
+  // git archive can only add files that exist on disk; they take the prefix given before them
+  const extraDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mgit-archive-'));
+  Object.entries(extraFiles).forEach(([name, content]) => {
+    fs.writeFileSync(path.join(extraDir, name), content);
+    args.push(`--add-file=${path.join(extraDir, name)}`);
+  });
+  args.push(commit);
+  if (archivePath) {
+    args.push('--', archivePath);
+  }
+
+  const git = spawn('git', args, { cwd: repoPath });
+  const output = new PassThrough();
+  const stderr = [];
+  const cleanup = () => fs.rmSync(extraDir, { recursive: true, force: true });
+
+  // The archive only ends once git has exited cleanly, so a failure is never mistaken for a short archive
+  git.stdout.pipe(output, { end: false });
+  git.stderr.on('data', chunk => stderr.push(chunk));
+
+  git.on('error', (err) => {
+    cleanup();
+    output.destroy(err);
+  });
+  git.on('close', (code) => {
+    cleanup();
+    if (code === 0) {
+      output.end();
+    } else {
+      output.destroy(new Error(`git archive failed: ${Buffer.concat(stderr).toString().trim()}`));
+    }
+  });
+  output.on('close', () => git.kill());
+
+  return output;
+}
+
+module.exports = {
+  isSafeRef,
+  cleanTreePath,
+  resolveCommit,
+  splitRefPath,
+  getTree,
+  getLastCommits,
+  parseCommitRecord,
+  listCommits,
+  grepTree,
+  addMatchContext,
+  getCommit,
+  diffCommits,
+  getMergeBase,
+  countAheadBehind,
+  getBlame,
+  readBlobHead,
+  createBlobStream,
+  listCommitIds,
+  ARCHIVE_FORMATS,
+  createArchiveStream
+};
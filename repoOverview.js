@@ -0,0 +1,267 @@
+// repoOverview.js - Repository summary read from the default branch, cached until the next push
+const fs = require('fs');
+const path = require('path');
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { runGit } = require('./receivePack');
+const repoBrowser = require('./repoBrowser');
+const repoRefs = require('./repoRefs');
+const contentType = require('./contentType');
+const spdxLicense = require('./spdxLicense');
+
+// READMEs and license files larger than this are not rendered or inspected
+const MAX_README_SIZE = 512 * 1024;
+const MAX_LICENSE_SIZE = 128 * 1024;
+
+// Preferred README names, checked in order against the root of the default branch
+const README_NAMES = ['readme.md', 'readme.markdown', 'readme', 'readme.txt', 'readme.rst'];
+
+// git init writes this into the description file of every new repository
+const DEFAULT_GIT_DESCRIPTION = /^Unnamed repository;/;
+
+// Markdown is rendered by us but written by whoever pushed, so only plain formatting survives
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'del', 'details', 'summary']),
+  allowedAttributes: {
+    a: ['href', 'name', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' })
+  }
+};
+
+// repoId -> { key, overview }, where key names the default branch, its head commit and when
+// the description file last changed
+const cache = new Map();
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+/**
+ * Renders a README to HTML that is safe to embed in a page
+ * @param {string} name - README file name, deciding whether it is Markdown
+ * @param {string} text - README content
+ * @returns {string} - Sanitized HTML
+ */
+function renderReadme(name, text) {
+  if (!/\.(md|markdown)$/i.test(name)) {
+    return `<pre>${escapeHtml(text)}</pre>`;
+  }
+  return sanitizeHtml(marked.parse(text, { gfm: true, async: false }), SANITIZE_OPTIONS);
+}
+
+/**
+ * Takes a one line description from the start of a README
+ * @param {string} text - README content
+ * @returns {string|null} - First non-empty line without heading markers
+ */
+function describeFromReadme(text) {
+  const firstLine = text.split('\n').map(line => line.trim()).find(Boolean);
+  return firstLine ? firstLine.replace(/^#+\s+/, '') : null;
+}
+
+/**
+ * Reads a text file from the tree, skipping binary and oversized files
+ * @param {string} repoPath - Path to the repository
+ * @param {Object} entry - Tree entry from repoBrowser.getTree
+ * @param {number} maxSize - Largest file read
+ * @returns {Promise<string|null>} - File content, or null if it was skipped
+ */
+async function readTextEntry(repoPath, entry, maxSize) {
+  if (entry.type !== 'file' || entry.size > maxSize) {
+    return null;
+  }
+  const content = await repoBrowser.readBlobHead(repoPath, entry.sha, maxSize);
+  return contentType.isBinaryContent(content) ? null : content.toString('utf8');
+}
+
+/**
+ * Finds the repository's description file
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<string>} - Absolute path of the file, which may not exist
+ */
+async function gitDescriptionPath(repoPath) {
+  const descriptionPath = (await runGit(['rev-parse', '--git-path', 'description'], { cwd: repoPath })).trim();
+  return path.resolve(repoPath, descriptionPath);
+}
+
+/**
+ * Gets the modification time of the description file, so edits to it invalidate the cache
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<number|null>} - Modification time in milliseconds, or null without a file
+ */
+async function gitDescriptionModified(repoPath) {
+  try {
+    return fs.statSync(await gitDescriptionPath(repoPath)).mtimeMs;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Reads the description git keeps in the repository's description file
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<string|null>} - Description, or null if it was never set
+ */
+async function readGitDescription(repoPath) {
+  try {
+    const description = fs.readFileSync(await gitDescriptionPath(repoPath), 'utf8').trim();
+    return description && !DEFAULT_GIT_DESCRIPTION.test(description) ? description : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Counts commits, branches, tags and distinct authors
+ * @param {string} repoPath - Path to the repository
+ * @param {string} commit - Head of the default branch
+ * @returns {Promise<Object>} - { commits, branches, tags, contributors }
+ */
+async function countHistory(repoPath, commit) {
+  const [commits, branches, tags, authors] = await Promise.all([
+    runGit(['rev-list', '--count', commit], { cwd: repoPath }),
+    runGit(['for-each-ref', '--format=%(refname)', 'refs/heads'], { cwd: repoPath }),
+    runGit(['for-each-ref', '--format=%(refname)', 'refs/tags'], { cwd: repoPath }),
+    runGit(['log', '--format=%aE', commit], { cwd: repoPath })
+  ]);
+  const lines = output => output.split('\n').filter(Boolean);
+
+  return {
+    commits: parseInt(commits, 10),
+    branches: lines(branches).length,
+    tags: lines(tags).length,
+    contributors: new Set(lines(authors).map(email => email.toLowerCase())).size
+  };
+}
+
+/**
+ * Finds when the repository was started, from the oldest root commit reachable from the default branch
+ * @param {string} repoPath - Path to the repository
+ * @param {string} commit - Head of the default branch
+ * @returns {Promise<string|null>} - ISO formatted date string
+ */
+async function getCreationDate(repoPath, commit) {
+  const output = await runGit(['log', '--max-parents=0', '--format=%at', commit], { cwd: repoPath });
+  const times = output.split('\n').filter(Boolean).map(value => parseInt(value, 10));
+  return times.length ? new Date(Math.min(...times) * 1000).toISOString() : null;
+}
+
+/**
+ * Builds the overview of a repository from its default branch
+ * @param {string} repoPath - Path to the repository
+ * @param {string|null} defaultBranch - Branch HEAD points to
+ * @param {string|null} commit - Head commit of that branch
+ * @returns {Promise<Object>} - Overview; everything but counts is null for an empty repository
+ */
+async function buildOverview(repoPath, defaultBranch, commit) {
+  const gitDescription = await readGitDescription(repoPath);
+
+  if (!commit) {
+    return {
+      description: gitDescription,
+      descriptionSource: gitDescription ? 'git' : null,
+      defaultBranch,
+      headCommit: null,
+      counts: { commits: 0, branches: 0, tags: 0, contributors: 0 },
+      createdAt: null,
+      updatedAt: null,
+      readme: null,
+      license: null
+    };
+  }
+
+  const [tree, counts, createdAt, head] = await Promise.all([
+    repoBrowser.getTree(repoPath, commit, ''),
+    countHistory(repoPath, commit),
+    getCreationDate(repoPath, commit),
+    repoBrowser.getCommit(repoPath, commit)
+  ]);
+  const entries = tree ? tree.entries : [];
+
+  let readme = null;
+  const readmeEntry = README_NAMES
+    .map(name => entries.find(entry => entry.name.toLowerCase() === name && entry.type === 'file'))
+    .find(Boolean);
+  if (readmeEntry) {
+    const text = await readTextEntry(repoPath, readmeEntry, MAX_README_SIZE);
+    if (text !== null) {
+      readme = { path: readmeEntry.path, text, html: renderReadme(readmeEntry.name, text) };
+    }
+  }
+
+  let license = null;
+  const licenseEntry = entries.find(entry => entry.type === 'file' && spdxLicense.isLicenseFile(entry.name));
+  if (licenseEntry) {
+    const text = await readTextEntry(repoPath, licenseEntry, MAX_LICENSE_SIZE);
+    const identified = text !== null ? spdxLicense.identifyLicense(text) : null;
+    // A license file we cannot identify is reported the way SPDX documents do
+    license = identified
+      ? { ...identified, path: licenseEntry.path }
+      : { spdxId: 'NOASSERTION', name: 'Other', matchedBy: null, path: licenseEntry.path };
+  }
+
+  const readmeDescription = readme ? describeFromReadme(readme.text) : null;
+  return {
+    description: gitDescription || readmeDescription,
+    // Lets callers drop a description taken from a README they are not allowed to see
+    descriptionSource: gitDescription ? 'git' : readmeDescription ? 'readme' : null,
+    defaultBranch,
+    headCommit: commit,
+    counts,
+    createdAt,
+    updatedAt: head.committer.date,
+    readme: readme ? { path: readme.path, html: readme.html } : null,
+    license
+  };
+}
+
+/**
+ * Gets a repository's overview, computing it only when the default branch has moved, the
+ * description file was edited or the cache entry was invalidated by a push
+ * @param {string} repoId - Repository ID, used as the cache key
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<Object>} - Overview as built by buildOverview
+ */
+async function getOverview(repoId, repoPath) {
+  const defaultBranch = await repoRefs.getDefaultBranch(repoPath);
+  const commit = defaultBranch ? await repoRefs.readRef(repoPath, `refs/heads/${defaultBranch}`) : null;
+  const key = `${defaultBranch}:${commit}:${await gitDescriptionModified(repoPath)}`;
+
+  const cached = cache.get(repoId);
+  if (cached && cached.key === key) {
+    return cached.overview;
+  }
+
+  const overview = await buildOverview(repoPath, defaultBranch, commit);
+  cache.set(repoId, { key, overview });
+  return overview;
+}
+
+/**
+ * Drops a repository's cached overview, e.g. after a push or a branch change
+ * @param {string} repoId - Repository ID
+ */
+function invalidate(repoId) {
+  cache.delete(repoId);
+}
+
+module.exports = {
+  getOverview,
+  invalidate,
+  renderReadme
+};
@@ -0,0 +1,199 @@
+// repoRefs.js - Listing and managing a repository's branches and tags
+const { runGit, isZeroOid } = require('./receivePack');
+
+/**
+ * Gets the branch HEAD points to
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<string|null>} - Branch name, or null if HEAD is detached or unborn
+ */
+async function getDefaultBranch(repoPath) {
+  try {
+    const ref = (await runGit(['symbolic-ref', '--quiet', 'HEAD'], { cwd: repoPath })).trim();
+    const branch = ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null;
+
+    // HEAD may name a branch that has no commits yet
+    if (branch) {
+      await runGit(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], { cwd: repoPath });
+    }
+    return branch;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Reads the object id a ref points at
+ * @param {string} repoPath - Path to the repository
+ * @param {string} ref - Full ref name, e.g. refs/tags/v1
+ * @returns {Promise<string|null>} - Object id, or null if the ref does not exist
+ */
+async function readRef(repoPath, ref) {
+  if (!(await isValidRefName(repoPath, ref))) {
+    return null;
+  }
+  try {
+    return (await runGit(['rev-parse', '--verify', '--quiet', ref], { cwd: repoPath })).trim() || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a name is valid for a new branch or tag
+ * @param {string} repoPath - Path to the repository
+ * @param {string} ref - Full ref name, e.g. refs/heads/feature
+ * @returns {Promise<boolean>} - True if git accepts the name
+ */
+async function isValidRefName(repoPath, ref) {
+  if (typeof ref !== 'string' || /^refs\/(heads|tags)\/-/.test(ref)) {
+    return false;
+  }
+  try {
+    await runGit(['check-ref-format', ref], { cwd: repoPath });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Reads refs with for-each-ref, one NUL separated record per line
+ * @param {string} repoPath - Path to the repository
+ * @param {string} pattern - Ref prefix, e.g. refs/heads
+ * @param {Array<string>} fields - for-each-ref atoms
+ * @returns {Promise<Array<Array<string>>>} - Field values per ref
+ */
+async function forEachRef(repoPath, pattern, fields) {
+  const output = await runGit(['for-each-ref', `--format=${fields.join('%00')}`, pattern], { cwd: repoPath });
+  return output.split('\n').filter(Boolean).map(line => line.split('\0'));
+}
+
+/**
+ * Converts a unix timestamp from for-each-ref to an ISO date
+ * @param {string} value - Seconds since the epoch, possibly empty
+ * @returns {string|null} - ISO formatted date string
+ */
+function isoDate(value) {
+  return value ? new Date(parseInt(value, 10) * 1000).toISOString() : null;
+}
+
+/**
+ * Lists branches with their head commits
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<Array<Object>>} - { name, commit: { hash, subject, author, date } } entries
+ */
+async function listBranches(repoPath) {
+  const refs = await forEachRef(repoPath, 'refs/heads', [
+    '%(refname)', '%(objectname)', '%(subject)', '%(authorname)', '%(committerdate:unix)'
+  ]);
+
+  return refs.map(([ref, hash, subject, author, date]) => ({
+    name: ref.slice('refs/heads/'.length),
+    commit: { hash, subject, author, date: isoDate(date) }
+  }));
+}
+
+/**
+ * Lists tags with the commit they point at, peeling annotated tags. Tags of trees or blobs
+ * have no commit.
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<Array<Object>>} - { name, annotated, sha, commit: { hash, subject, author, date } | null,
+ *   tagger, date, message } entries
+ */
+async function listTags(repoPath) {
+  const refs = await forEachRef(repoPath, 'refs/tags', [
+    '%(refname)', '%(objecttype)', '%(objectname)', '%(*objectname)', '%(taggername)', '%(taggerdate:unix)',
+    '%(creatordate:unix)', '%(contents:subject)', '%(authorname)', '%(committerdate:unix)',
+    '%(*objecttype)', '%(*subject)', '%(*authorname)', '%(*committerdate:unix)'
+  ]);
+
+  return refs
+    .map(([ref, type, sha, peeled, tagger, taggerDate, creatorDate, subject, author, committerDate,
+      peeledType, peeledSubject, peeledAuthor, peeledCommitterDate]) => {
+      const annotated = type === 'tag';
+      const target = annotated ? peeledType : type;
+      return {
+        name: ref.slice('refs/tags/'.length),
+        annotated,
+        sha,
+        commit: target !== 'commit' ? null : annotated
+          ? { hash: peeled, subject: peeledSubject, author: peeledAuthor, date: isoDate(peeledCommitterDate) }
+          : { hash: sha, subject, author, date: isoDate(committerDate) },
+        tagger: annotated ? tagger : null,
+        date: isoDate(annotated ? taggerDate : creatorDate),
+        message: annotated ? subject : null
+      };
+    })
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+}
+
+/**
+ * Creates a ref, failing if it already exists
+ * @param {string} repoPath - Path to the repository
+ * @param {string} ref - Full ref name
+ * @param {string} target - Object id the ref should point at
+ * @param {string} reason - Reflog message
+ * @returns {Promise<boolean>} - False if the ref already existed
+ */
+async function createRef(repoPath, ref, target, reason) {
+  try {
+    // An all-zero old value makes git refuse to overwrite an existing ref
+    await runGit(['update-ref', '-m', reason, ref, target, '0'.repeat(target.length)], { cwd: repoPath });
+    return true;
+  } catch (err) {
+    if (/already exists/.test(err.stderr || '')) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Deletes a ref if it still points where the caller last saw it
+ * @param {string} repoPath - Path to the repository
+ * @param {string} ref - Full ref name
+ * @param {string} oldOid - Expected current value
+ * @returns {Promise<void>}
+ */
+async function deleteRef(repoPath, ref, oldOid) {
+  await runGit(['update-ref', '-d', ref, ...(oldOid && !isZeroOid(oldOid) ? [oldOid] : [])], { cwd: repoPath });
+}
+
+/**
+ * Creates an annotated tag
+ * @param {string} repoPath - Path to the repository
+ * @param {string} name - Tag name
+ * @param {string} commit - Commit id to tag
+ * @param {string} message - Tag message
+ * @param {Object} tagger - { name, email } recorded as the tagger
+ * @returns {Promise<boolean>} - False if the tag already existed
+ */
+async function createAnnotatedTag(repoPath, name, commit, message, tagger) {
+  try {
+    await runGit(['tag', '-a', '-m', message, name, commit], {
+      cwd: repoPath,
+      env: {
+        ...process.env,
+        GIT_COMMITTER_NAME: tagger.name,
+        GIT_COMMITTER_EMAIL: tagger.email
+      }
+    });
+    return true;
+  } catch (err) {
+    if (/already exists/.test(err.stderr || '')) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  getDefaultBranch,
+  readRef,
+  isValidRefName,
+  listBranches,
+  listTags,
+  createRef,
+  deleteRef,
+  createAnnotatedTag
+};
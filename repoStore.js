@@ -0,0 +1,146 @@
+// repoStore.js - Persistent storage for repository access configuration
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Access levels a key can hold on a repository, from most to least privileged
+const ACCESS_LEVELS = ['admin', 'read-write', 'read-only'];
+
+/**
+ * Loads repository configurations from disk
+ * @param {string} configPath - Path to the JSON configuration file
+ * @param {Object} defaults - Configurations to use when the file does not exist
+ * @returns {Object} - Repository configurations keyed by repoId
+ */
+function loadRepoConfigurations(configPath, defaults) {
+  if (!fs.existsSync(configPath)) {
+    return defaults;
+  }
+
+  const configurations = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  console.log(`Loaded repository configurations from ${configPath}`);
+  return configurations;
+}
+
+/**
+ * Writes JSON to disk atomically. The data is written to a temporary file next
+ * to the target and renamed over it, so a crash never leaves a half-written file behind.
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} data - Data to write
+ */
+function writeJsonFile(filePath, data) {
+  const tmpPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.tmp`
+  );
+
+  const fd = fs.openSync(tmpPath, 'w', 0o600);
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2) + '\n');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Writes JSON to disk atomically like writeJsonFile, without blocking the event loop
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} data - Data to write
+ * @returns {Promise<void>} - Resolves once the file has been replaced
+ */
+async function writeJsonFileAsync(filePath, data) {
+  const tmpPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+
+  try {
+    const handle = await fs.promises.open(tmpPath, 'w', 0o600);
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2) + '\n');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.promises.rm(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Saves repository configurations to disk atomically
+ * @param {string} configPath - Path to the JSON configuration file
+ * @param {Object} configurations - Repository configurations keyed by repoId
+ */
+function saveRepoConfigurations(configPath, configurations) {
+  writeJsonFile(configPath, configurations);
+}
+
+/**
+ * Checks whether an access level is one the server understands
+ * @param {string} access - Access level
+ * @returns {boolean} - True if the access level is valid
+ */
+function isValidAccess(access) {
+  return ACCESS_LEVELS.includes(access);
+}
+
+/**
+ * Returns a copy of a repository configuration with a key added or its access changed
+ * @param {Object} repoConfig - Repository configuration
+ * @param {string} pubkey - Bech32 (npub) public key
+ * @param {string} access - Access level to grant
+ * @returns {Object} - Updated repository configuration
+ */
+function setAuthorizedKey(repoConfig, pubkey, access) {
+  const keys = repoConfig.authorized_keys || [];
+  const exists = keys.some(entry => entry.pubkey === pubkey);
+
+  return {
+    ...repoConfig,
+    authorized_keys: exists
+      ? keys.map(entry => (entry.pubkey === pubkey ? { ...entry, access } : entry))
+      : [...keys, { pubkey, access }]
+  };
+}
+
+/**
+ * Returns a copy of a repository configuration with a key removed
+ * @param {Object} repoConfig - Repository configuration
+ * @param {string} pubkey - Bech32 (npub) public key
+ * @returns {Object} - Updated repository configuration
+ */
+function removeAuthorizedKey(repoConfig, pubkey) {
+  return {
+    ...repoConfig,
+    authorized_keys: (repoConfig.authorized_keys || []).filter(entry => entry.pubkey !== pubkey)
+  };
+}
+
+/**
+ * Checks whether a key is the only admin left on a repository
+ * @param {Object} repoConfig - Repository configuration
+ * @param {string} pubkey - Bech32 (npub) public key
+ * @returns {boolean} - True if removing or downgrading the key would leave no admin
+ */
+function isLastAdmin(repoConfig, pubkey) {
+  const admins = (repoConfig.authorized_keys || []).filter(entry => entry.access === 'admin');
+  return admins.length === 1 && admins[0].pubkey === pubkey;
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  loadRepoConfigurations,
+  saveRepoConfigurations,
+  writeJsonFile,
+  writeJsonFileAsync,
+  isValidAccess,
+  setAuthorizedKey,
+  removeAuthorizedKey,
+  isLastAdmin
+};
@@ -17,8 +17,9 @@ const configureSecurity = (app) => {
     message: { status: 'error', reason: 'Too many requests, please try again later.' }
   });
   
-  // Apply rate limiting to authentication endpoints
-  app.use('/api/auth', apiLimiter);
+  // Apply rate limiting to authentication endpoints, and to the nostr lookups that
+  // make the server contact relays and NIP-05 domains on the caller's behalf
+  app.use(['/api/auth', '/api/nostr'], apiLimiter);
   
   // Verify that REPOS_PATH is outside the public directory
   const ensureSecurePath = () => {
@@ -1,9 +1,6 @@
 const express = require('express');
 const crypto = require('crypto');
 const cors = require('cors');
-const https = require('https');
-const axios = require('axios');
-const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
 const { execSync, exec } = require('child_process');
@@ -17,9 +14,30 @@ const { verifyEvent, validateEvent, getEventHash } = require('nostr-tools');
 const configureSecurity = require('./security');
 
 const mgitUtils = require('./mgitUtils');
+const repoStore = require('./repoStore');
+const nostrAuth = require('./nostrAuth');
+const tokenRevocation = require('./tokenRevocation');
+const nostrProfiles = require('./nostrProfiles');
+const nip05 = require('./nip05');
+const receivePack = require('./receivePack');
+const pushPolicy = require('./pushPolicy');
+const accessGrants = require('./accessGrants');
+const repoBrowser = require('./repoBrowser');
+const contentType = require('./contentType');
+const repoRefs = require('./repoRefs');
+const repoOverview = require('./repoOverview');
+const jsonDiff = require('./jsonDiff');
+const mgitMappings = require('./mgitMappings');
+const commitAttestation = require('./commitAttestation');
+const nip34Publisher = require('./nip34Publisher');
 
 const app = express();
-app.use(express.json());
+// Keep the raw JSON body around so NIP-98 payload hashes can be checked
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(cors());
 
 // Apply security configurations
@@ -31,9 +49,80 @@ const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('he
 // Token expiration time in seconds (2 hrs)
 const TOKEN_EXPIRATION = 120 * 60;
 
+// Expiration of general nostr login tokens in seconds (24 hrs)
+const SESSION_TOKEN_EXPIRATION = 24 * 60 * 60;
+
+// Sign a token with a unique id (jti) and the pubkey's current revocation counter
+const issueToken = (claims, expiresIn) => jwt.sign({
+  ...claims,
+  rev: tokenRevocation.currentRevision(claims.pubkey)
+}, JWT_SECRET, {
+  expiresIn,
+  jwtid: crypto.randomBytes(16).toString('hex')
+});
+
+// Sign a repository token for an authorized_keys entry or an access grant.
+// Grant tokens carry the grant id and path scope and never outlive the grant.
+const issueRepoToken = (repoId, pubkey, authEntry) => {
+  const claims = { pubkey, repoId, access: authEntry.access };
+  let expiresIn = TOKEN_EXPIRATION;
+
+  if (authEntry.grantId) {
+    claims.grantId = authEntry.grantId;
+    claims.path = authEntry.path;
+    const remaining = Math.floor((Date.parse(authEntry.expiresAt) - Date.now()) / 1000);
+    expiresIn = Math.max(1, Math.min(expiresIn, remaining));
+  } else {
+    // The entry as configured (npub or NIP-05 identifier), so removing it revokes the token
+    claims.key = authEntry.pubkey;
+    claims.keyRev = tokenRevocation.currentKeyRevision(repoId, authEntry.pubkey);
+  }
+
+  return { token: issueToken(claims, expiresIn), expiresIn };
+};
+
 // Store pending challenges in memory (use a database in production)
 const pendingChallenges = new Map();
 
+// How long an issued challenge may be answered, in milliseconds (5 min)
+const CHALLENGE_TTL = 5 * 60 * 1000;
+
+// Drop expired challenges so the map does not grow without bound
+const sweepChallenges = setInterval(() => {
+  const now = Date.now();
+  for (const [challenge, data] of pendingChallenges) {
+    if (now - data.timestamp > CHALLENGE_TTL) {
+      pendingChallenges.delete(challenge);
+    }
+  }
+}, 60 * 1000);
+sweepChallenges.unref();
+
+const isChallengeExpired = (challengeData) => Date.now() - challengeData.timestamp > CHALLENGE_TTL;
+
+// Relays queried in parallel for profile metadata, and how long profiles stay cached
+const profileStore = nostrProfiles.createProfileStore({
+  relays: nostrProfiles.parseRelayList(process.env.NOSTR_RELAYS),
+  ttl: parseInt(process.env.PROFILE_CACHE_TTL || '3600', 10) * 1000,
+  timeout: 5000
+});
+
+// Optional NIP-34 publisher, enabled by giving the server a key to sign announcements with.
+// Events go to NIP34_RELAYS, or the profile relays when that is not set.
+let nip34 = null;
+if (process.env.NIP34_SECRET_KEY) {
+  try {
+    nip34 = nip34Publisher.createPublisher({
+      secretKey: process.env.NIP34_SECRET_KEY,
+      relays: nostrProfiles.parseRelayList(process.env.NIP34_RELAYS || process.env.NOSTR_RELAYS),
+      timeout: 10000
+    });
+    console.log(`Publishing NIP-34 repository events as ${nip34.pubkey} to ${nip34.relays.join(', ')}`);
+  } catch (err) {
+    console.error('Invalid NIP34_SECRET_KEY, NIP-34 publishing is disabled:', err.message);
+  }
+}
+
 // Path to repositories storage - secure path verified by security module
 const REPOS_PATH = security.ensureSecurePath();
 
@@ -48,17 +137,27 @@ let repoConfigurations = {
   },
 };
 
+// Repository configurations are persisted here and updated through the keys API
+const REPO_CONFIG_PATH = process.env.REPO_CONFIG_PATH || path.join(__dirname, 'repo-config.json');
+
 // Load repository configurations from file if available
 try {
-  const configPath = path.join(__dirname, 'repo-config.json');
-  if (fs.existsSync(configPath)) {
-    repoConfigurations = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-    console.log('Loaded repository configurations from file');
-  }
+  repoConfigurations = repoStore.loadRepoConfigurations(REPO_CONFIG_PATH, repoConfigurations);
 } catch (error) {
   console.error('Error loading repository configurations:', error);
 }
 
+// Revoked tokens and per-pubkey revocations are kept next to the repository configuration.
+// Not caught: starting without them would make revoked tokens valid again.
+const REVOCATIONS_PATH = process.env.REVOCATIONS_PATH ||
+  path.join(path.dirname(REPO_CONFIG_PATH), 'token-revocations.json');
+tokenRevocation.load(REVOCATIONS_PATH);
+
+// Revocations are written shortly after they happen, so write any still pending before stopping
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.once(signal, () => tokenRevocation.flush().then(() => process.exit(0)));
+});
+
 // Auth middleware
 const authenticateJWT = (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -71,6 +170,10 @@ const authenticateJWT = (req, res, next) => {
         return res.status(403).json({ status: 'error', reason: 'Invalid or expired token' });
       }
 
+      if (tokenRevocation.isRevoked(user)) {
+        return res.status(401).json({ status: 'error', reason: 'Token revoked' });
+      }
+
       req.user = user;
       next();
     });
@@ -79,22 +182,198 @@ const authenticateJWT = (req, res, next) => {
   }
 };
 
-// keeping this as is for now--
+// Largest request body buffered to check a NIP-98 payload hash or push rules (100 MB)
+const MAX_BUFFERED_BODY = 100 * 1024 * 1024;
+
+// Collects the raw request body. Route handlers that stream the request
+// (e.g. the git endpoints) must use req.rawBody instead once this has run.
+const readRawBody = (req) => {
+  if (req.rawBody) {
+    return Promise.resolve(req.rawBody);
+  }
+
+  const hasBody = req.headers['transfer-encoding'] !== undefined ||
+    parseInt(req.headers['content-length'] || '0', 10) > 0;
+  if (!hasBody || req._body || req.readableEnded) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BUFFERED_BODY) {
+        req.destroy();
+        reject(new Error('Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      req.rawBody = Buffer.concat(chunks);
+      resolve(req.rawBody);
+    });
+    req.on('error', reject);
+  });
+};
+
+// The URL clients reach the server at; set PUBLIC_URL when it runs behind a proxy
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+// Ids of NIP-98 events already used, mapped to when they can be forgotten (unix seconds).
+// An event is only accepted inside its time window, so it never needs to be kept longer.
+const usedHttpAuthEvents = new Map();
+
+const sweepHttpAuthEvents = setInterval(() => {
+  const now = Math.floor(Date.now() / 1000);
+  for (const [id, expires] of usedHttpAuthEvents) {
+    if (expires < now) {
+      usedHttpAuthEvents.delete(id);
+    }
+  }
+}, 60 * 1000);
+sweepHttpAuthEvents.unref();
+
+// NIP-98 HTTP Auth - the request itself is signed with a kind 27235 event
+const validateNip98Auth = async (req, res, next) => {
+  const { repoId } = req.params;
+  let event;
+
+  try {
+    event = nostrAuth.decodeHttpAuthHeader(req.headers.authorization);
+  } catch (error) {
+    return res.status(401).json({ 
+      status: 'error', 
+      reason: 'Invalid NIP-98 authorization header' 
+    });
+  }
+
+  if (!validateEvent(event) || !verifyEvent(event)) {
+    return res.status(401).json({ 
+      status: 'error', 
+      reason: 'Invalid signature' 
+    });
+  }
+
+  const eventError = nostrAuth.checkHttpAuthEvent(event, {
+    url: publicBaseUrl(req) + req.originalUrl,
+    method: req.method
+  });
+  if (eventError) {
+    return res.status(401).json({ 
+      status: 'error', 
+      reason: eventError 
+    });
+  }
+
+  if (!repoConfigurations[repoId]) {
+    return res.status(404).json({ 
+      status: 'error', 
+      reason: 'Repository not found' 
+    });
+  }
+
+  // Authorize the key before buffering anything, so strangers cannot make the server hold bodies
+  const authEntry = await findAuthEntry(repoId, event.pubkey);
+  if (!authEntry) {
+    return res.status(403).json({ 
+      status: 'error', 
+      reason: 'Not authorized for this repository' 
+    });
+  }
+
+  if (usedHttpAuthEvents.has(event.id)) {
+    return res.status(401).json({ 
+      status: 'error', 
+      reason: 'Event has already been used' 
+    });
+  }
+  usedHttpAuthEvents.set(event.id, event.created_at + nostrAuth.HTTP_AUTH_WINDOW);
+
+  let body;
+  try {
+    body = await readRawBody(req);
+  } catch (error) {
+    return res.status(413).json({ 
+      status: 'error', 
+      reason: error.message 
+    });
+  }
+
+  const payloadError = nostrAuth.checkHttpAuthPayload(event, body);
+  if (payloadError) {
+    return res.status(401).json({ 
+      status: 'error', 
+      reason: payloadError 
+    });
+  }
+
+  req.user = {
+    pubkey: event.pubkey,
+    repoId,
+    access: authEntry.access,
+    grantId: authEntry.grantId,
+    path: authEntry.path
+  };
+
+  next();
+};
+
+// Extracts the JWT from a Bearer header, or from the password of a Basic header (as sent by git)
+const extractToken = (authHeader) => {
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+
+  if (authHeader.startsWith('Basic ')) {
+    const credentials = Buffer.from(authHeader.slice('Basic '.length), 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    return separator >= 0 ? credentials.slice(separator + 1) : null;
+  }
+
+  return null;
+};
+
+// Accepts either a JWT from /api/mgit/auth/verify or a NIP-98 signed request
 const validateMGitToken = (req, res, next) => {
   const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Nostr ') && req.params.repoId) {
+    return validateNip98Auth(req, res, next);
+  }
+
+  const token = authHeader ? extractToken(authHeader) : null;
   
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  if (!token) {
     return res.status(401).json({ 
       status: 'error', 
       reason: 'Authentication required' 
     });
   }
-
-  const token = authHeader.split(' ')[1];
   
   try {
     // Verify the token
     const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Reject tokens revoked by logout or by a change to the key's access
+    if (tokenRevocation.isRevoked(decoded)) {
+      return res.status(401).json({ 
+        status: 'error', 
+        reason: 'Token revoked' 
+      });
+    }
+    
+    // Tokens issued from an access grant stop working once the grant expires or is revoked
+    if (decoded.grantId && !accessGrants.findActiveGrant(repoConfigurations[decoded.repoId], decoded.grantId)) {
+      return res.status(401).json({ 
+        status: 'error', 
+        reason: 'Access grant expired or revoked' 
+      });
+    }
     
     // Add the decoded token to the request object for route handlers to use
     req.user = decoded;
@@ -123,6 +402,35 @@ const validateMGitToken = (req, res, next) => {
   }
 };
 
+// Smart HTTP endpoints answer failed auth with a Basic challenge so stock git
+// asks its credential helper and retries with the token as the password
+const validateGitAuth = (req, res, next) => {
+  res.setHeader('WWW-Authenticate', 'Basic realm="MGit", charset="UTF-8"');
+
+  if (!req.headers.authorization) {
+    return res.status(401).json({ 
+      status: 'error', 
+      reason: 'Authentication required' 
+    });
+  }
+
+  validateMGitToken(req, res, () => {
+    res.removeHeader('WWW-Authenticate');
+    requireFullAccess(req, res, next);
+  });
+};
+
+// Grants scoped to a path prefix cannot use routes that expose the whole repository
+const requireFullAccess = (req, res, next) => {
+  if (req.user.path) {
+    return res.status(403).json({ 
+      status: 'error', 
+      reason: `Access is limited to ${req.user.path}` 
+    });
+  }
+  next();
+};
+
 // Ensure repositories directory exists
 if (!fs.existsSync(REPOS_PATH)) {
   fs.mkdirSync(REPOS_PATH, { recursive: true });
@@ -166,12 +474,37 @@ app.post('/api/auth/nostr/challenge', (req, res) => {
 
   res.json({
     challenge,
-    tag: 'login'
+    tag: 'login',
+    kind: nostrAuth.MGIT_AUTH_KIND,
+    content: nostrAuth.challengeContent(challenge)
   });
 });
 
 app.post('/api/auth/nostr/verify', async (req, res) => {
-  const { signedEvent } = req.body;
+  const { signedEvent, challenge } = req.body;
+
+  if (!signedEvent || !challenge) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Missing required parameters' 
+    });
+  }
+
+  // Session tokens can be exchanged for repository tokens, so only an answer to a challenge
+  // issued by /api/auth/nostr/challenge is accepted, and only once
+  const challengeData = pendingChallenges.get(challenge);
+  if (!challengeData || challengeData.type !== 'nostr' || isChallengeExpired(challengeData)) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Invalid or expired challenge' 
+    });
+  }
+  if (challengeData.consumed) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Challenge already used' 
+    });
+  }
   
   try {
     // Validate the event format
@@ -190,57 +523,29 @@ app.post('/api/auth/nostr/verify', async (req, res) => {
       });
     }
 
-    // Create WebSocket connection to get metadata
-    const ws = new WebSocket('wss://relay.damus.io');
-    
-    const metadataPromise = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        ws.close();
-        reject(new Error('Metadata fetch timeout'));
-      }, 5000);
-
-      ws.onopen = () => {
-        const req = JSON.stringify([
-          "REQ",
-          "metadata-query",
-          {
-            "kinds": [0],
-            "authors": [signedEvent.pubkey],
-            "limit": 1
-          }
-        ]);
-        ws.send(req);
-      };
-
-      ws.onmessage = (event) => {
-        const [type, _, eventData] = JSON.parse(event.data);
-        if (type === 'EVENT' && eventData.kind === 0) {
-          clearTimeout(timeout);
-          ws.close();
-          resolve(eventData);
-        }
-      };
+    // Check the event answers exactly this challenge, recently
+    const eventError = nostrAuth.checkChallengeEvent(signedEvent, challenge, challengeData.timestamp);
+    if (eventError) {
+      return res.status(400).json({ 
+        status: 'error', 
+        reason: eventError 
+      });
+    }
 
-      ws.onerror = (error) => {
-        clearTimeout(timeout);
-        reject(error);
-      };
+    pendingChallenges.set(challenge, {
+      ...challengeData,
+      verified: true,
+      consumed: true,
+      pubkey: signedEvent.pubkey
     });
 
-    let metadata = null;
-    try {
-      metadata = await metadataPromise;
-    } catch (error) {
-      console.warn('Failed to fetch Nostr metadata:', error.message);
-      // Continue without metadata
-    }
+    // Never block login on relays: answer with cached metadata and refresh it in the background
+    const metadata = profileStore.getCached(signedEvent.pubkey);
     
     // Generate JWT token
-    const token = jwt.sign({ 
-      pubkey: signedEvent.pubkey,
-      iat: Math.floor(Date.now() / 1000),
-      exp: Math.floor(Date.now() / 1000) + (60 * 60 * 24) // 24 hour expiration
-    }, JWT_SECRET);
+    const token = issueToken({ 
+      pubkey: signedEvent.pubkey
+    }, SESSION_TOKEN_EXPIRATION);
 
     console.log('Nostr login verified for pubkey:', signedEvent.pubkey);
     res.json({ 
@@ -287,30 +592,83 @@ app.get('/api/auth/nostr/status', (req, res) => {
   });
 });
 
+app.get('/api/nostr/profile/:pubkey', async (req, res) => {
+  let pubkey;
+  try {
+    pubkey = bech32ToHex(normalizePubkey(req.params.pubkey));
+  } catch (error) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Invalid public key' 
+    });
+  }
+
+  try {
+    const metadata = await profileStore.get(pubkey);
+    if (!metadata) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: 'Profile not found' 
+      });
+    }
+
+    res.json({ 
+      status: 'OK',
+      pubkey,
+      metadata
+    });
+  } catch (error) {
+    console.error('Nostr profile lookup error:', error);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to fetch profile' 
+    });
+  }
+});
+
+// Resolve name@domain against the domain's own /.well-known/nostr.json
 app.get('/api/nostr/nip05/verify', async (req, res) => {
-  const { domain, name } = req.query;
+  const { domain, name, pubkey } = req.query;
 
   if (!domain || !name) {
     return res.status(400).json({ error: 'Domain and name parameters are required' });
   }
 
-  const agent = new https.Agent({
-    rejectUnauthorized: false
-  });
+  const identifier = `${name}@${domain}`;
+  if (!nip05.parseIdentifier(identifier)) {
+    return res.status(400).json({ error: 'Invalid NIP-05 identifier' });
+  }
 
   try {
-    const response = await axios.get(
-      `https://nostr-check.com/.well-known/nostr.json?name=${name}`,
-      { 
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'Mozilla/5.0'
-        },
-        httpsAgent: agent
+    const result = await nip05.resolveNip05(identifier);
+
+    if (!result) {
+      return res.status(404).json({ 
+        status: 'error', 
+        verified: false,
+        reason: `${identifier} does not resolve to a pubkey` 
+      });
+    }
+
+    // When the caller names the pubkey it expects, report whether the domain agrees
+    let expected = null;
+    if (pubkey) {
+      try {
+        expected = bech32ToHex(normalizePubkey(pubkey));
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid public key' });
       }
-    );
+    }
 
-    res.json(response.data);
+    res.json({
+      status: 'OK',
+      verified: expected ? expected === result.pubkey : true,
+      name: result.name,
+      domain: result.domain,
+      pubkey: result.pubkey,
+      relays: result.relays,
+      names: { [result.name]: result.pubkey }
+    });
 
   } catch (error) {
     console.error('NIP-05 verification error:', error.message);
@@ -339,6 +697,67 @@ function bech32ToHex(bech32Str) {
   return Buffer.from(bytes).toString('hex');
 }
 
+// Finds the authorized_keys entry granting a hex pubkey access to a repository.
+// Entries may name an npub directly or a NIP-05 identifier resolved at auth time.
+async function findAuthEntry(repoId, pubkey) {
+  const repoConfig = repoConfigurations[repoId];
+  if (!repoConfig) {
+    return null;
+  }
+
+  const keys = repoConfig.authorized_keys || [];
+  const bech32pubkey = hexToBech32(pubkey);
+  const direct = keys.find(entry => entry.pubkey === bech32pubkey);
+  if (direct) {
+    return direct;
+  }
+
+  for (const entry of keys.filter(entry => nip05.isNip05Identifier(entry.pubkey))) {
+    const resolved = await nip05.resolveNip05(entry.pubkey);
+    if (resolved && resolved.pubkey === pubkey) {
+      return entry;
+    }
+  }
+
+  // Fall back to a temporary access grant held by the key
+  const grant = accessGrants.findGrantForPubkey(repoConfigurations[repoId], bech32pubkey);
+  if (grant) {
+    return {
+      pubkey: bech32pubkey,
+      access: grant.access,
+      path: grant.path,
+      grantId: grant.id,
+      expiresAt: grant.expiresAt
+    };
+  }
+
+  return null;
+}
+
+// Hex pubkeys an authorized_keys entry currently stands for (a NIP-05 identifier is resolved live)
+async function entryPubkeys(key) {
+  if (nip05.isNip05Identifier(key)) {
+    const resolved = await nip05.resolveNip05(key);
+    return resolved ? [resolved.pubkey] : [];
+  }
+  return [bech32ToHex(key)];
+}
+
+// Accepts an npub, a hex pubkey or a NIP-05 identifier and returns the form used in repoConfigurations
+function normalizePubkey(pubkey) {
+  if (typeof pubkey !== 'string') {
+    throw new Error('Public key is required');
+  }
+  if (nip05.isNip05Identifier(pubkey)) {
+    const { name, domain } = nip05.parseIdentifier(pubkey);
+    return `${name}@${domain}`;
+  }
+  if (pubkey.startsWith('npub1')) {
+    return hexToBech32(bech32ToHex(pubkey));
+  }
+  return hexToBech32(pubkey.toLowerCase());
+}
+
 // 1. Repository-specific challenge generation
 app.post('/api/mgit/auth/challenge', (req, res) => {
   const { repoId } = req.body;
@@ -373,13 +792,16 @@ app.post('/api/mgit/auth/challenge', (req, res) => {
 
   res.json({
     challenge,
-    repoId
+    repoId,
+    kind: nostrAuth.MGIT_AUTH_KIND,
+    content: nostrAuth.challengeContent(challenge),
+    expiresIn: CHALLENGE_TTL / 1000
   });
 });
 
 // 2. Verify signature and check repository authorization
 app.post('/api/mgit/auth/verify', async (req, res) => {
-  const { signedEvent, challenge, repoId } = req.body;
+  const { signedEvent, challenge, repoId, shareToken } = req.body;
   
   // Validate request parameters
   if (!signedEvent || !challenge || !repoId) {
@@ -389,18 +811,25 @@ app.post('/api/mgit/auth/verify', async (req, res) => {
     });
   }
 
-  // Check if the challenge exists
-  if (!pendingChallenges.has(challenge)) {
+  // Check if the challenge exists and is still valid
+  const challengeData = pendingChallenges.get(challenge);
+  if (!challengeData || isChallengeExpired(challengeData)) {
     return res.status(400).json({ 
       status: 'error', 
       reason: 'Invalid or expired challenge' 
     });
   }
 
-  const challengeData = pendingChallenges.get(challenge);
+  // Each challenge can only be exchanged for a token once
+  if (challengeData.consumed) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Challenge already used' 
+    });
+  }
   
   // Verify the challenge is for the requested repository
-  if (challengeData.repoId !== repoId) {
+  if (challengeData.type !== 'mgit' || challengeData.repoId !== repoId) {
     return res.status(400).json({ 
       status: 'error', 
       reason: 'Challenge does not match repository' 
@@ -424,11 +853,12 @@ app.post('/api/mgit/auth/verify', async (req, res) => {
       });
     }
 
-    // Check the event content (should contain the challenge)
-    if (!signedEvent.content.includes(challenge)) {
+    // Check the event answers exactly this challenge, recently
+    const eventError = nostrAuth.checkChallengeEvent(signedEvent, challenge, challengeData.timestamp);
+    if (eventError) {
       return res.status(400).json({ 
         status: 'error', 
-        reason: 'Challenge mismatch in signed content' 
+        reason: eventError 
       });
     }
 
@@ -444,9 +874,31 @@ app.post('/api/mgit/auth/verify', async (req, res) => {
     }
 
     // Find the authorization entry for this pubkey
-    const bech32pubkey = hexToBech32(pubkey);
-    console.log('the pubkey is: ', pubkey, 'bech32 version: ', bech32pubkey);
-    const authEntry = repoConfig.authorized_keys.find(entry => entry.pubkey === bech32pubkey);
+    let authEntry = await findAuthEntry(repoId, pubkey);
+
+    // Another request may have used the challenge while NIP-05 entries were resolved
+    const currentChallenge = pendingChallenges.get(challenge);
+    if (!currentChallenge || currentChallenge.consumed) {
+      return res.status(400).json({ 
+        status: 'error', 
+        reason: 'Challenge already used' 
+      });
+    }
+
+    // A key without access may redeem a one-time share token, which binds the grant to it
+    const shareGrant = !authEntry && accessGrants.findShareGrant(repoConfigurations[repoId], shareToken);
+    if (shareGrant) {
+      const npub = hexToBech32(pubkey);
+      commitRepoConfig(repoId, accessGrants.redeemShareGrant(repoConfigurations[repoId], shareGrant.id, npub));
+      console.log(`Share grant ${shareGrant.id} on repo ${repoId} redeemed by ${pubkey}`);
+      authEntry = {
+        pubkey: npub,
+        access: shareGrant.access,
+        path: shareGrant.path,
+        grantId: shareGrant.id,
+        expiresAt: shareGrant.expiresAt
+      };
+    }
     
     if (!authEntry) {
       return res.status(403).json({ 
@@ -455,21 +907,16 @@ app.post('/api/mgit/auth/verify', async (req, res) => {
       });
     }
 
-    // Update challenge status
+    // Update challenge status and mark it used
     pendingChallenges.set(challenge, {
       ...challengeData,
       verified: true,
+      consumed: true,
       pubkey
     });
 
     // Generate a temporary access token for repository operations
-    const token = jwt.sign({
-      pubkey,
-      repoId,
-      access: authEntry.access
-    }, JWT_SECRET, {
-      expiresIn: TOKEN_EXPIRATION
-    });
+    const { token, expiresIn } = issueRepoToken(repoId, pubkey, authEntry);
 
     console.log(`MGit auth successful - pubkey ${pubkey} granted ${authEntry.access} access to repo ${repoId}`);
     
@@ -477,7 +924,8 @@ app.post('/api/mgit/auth/verify', async (req, res) => {
       status: 'OK',
       token,
       access: authEntry.access,
-      expiresIn: TOKEN_EXPIRATION
+      path: authEntry.path || null,
+      expiresIn
     });
 
   } catch (error) {
@@ -489,29 +937,494 @@ app.post('/api/mgit/auth/verify', async (req, res) => {
   }
 });
 
-// Sample endpoint for repository info - protected by token validation
-app.get('/api/mgit/repos/:repoId/info', validateMGitToken, (req, res) => {
-  const { repoId } = req.params;
-  const { pubkey, access } = req.user;
-  
-  // The user is already authenticated and authorized via the middleware
-  // Could fetch actual repository information here
-  
-  res.json({
-    id: repoId,
-    name: `${repoId}`,
-    access: access,
-    authorized_pubkey: pubkey
-  });
-});
+// 3. Exchange a still-valid token for a fresh one, re-checking repository access
+app.post('/api/auth/refresh', authenticateJWT, async (req, res) => {
+  const { pubkey, repoId, jti, exp } = req.user;
 
-// app.get('/api/mgit/repos/:repoId/git-upload-pack', validateMGitToken, (req, res) => {
-//   const { repoId } = req.params;
-//   const { pubkey, access } = req.user;
-  
-//   // Get physical repository path
-//   const repoPath = path.join(REPOS_PATH, repoId);
-  
+  if (!repoId) {
+    tokenRevocation.revokeToken(jti, exp);
+    return res.json({ 
+      status: 'OK',
+      token: issueToken({ pubkey }, SESSION_TOKEN_EXPIRATION),
+      expiresIn: SESSION_TOKEN_EXPIRATION
+    });
+  }
+
+  const authEntry = await findAuthEntry(repoId, pubkey);
+  if (!authEntry) {
+    return res.status(403).json({ 
+      status: 'error', 
+      reason: 'Not authorized for this repository' 
+    });
+  }
+
+  // The old token stops working once it has been exchanged
+  tokenRevocation.revokeToken(jti, exp);
+  const { token, expiresIn } = issueRepoToken(repoId, pubkey, authEntry);
+
+  res.json({ 
+    status: 'OK',
+    token,
+    access: authEntry.access,
+    path: authEntry.path || null,
+    expiresIn
+  });
+});
+
+// 4. Revoke the presented token, or every token of its pubkey with { all: true }
+app.post('/api/auth/logout', authenticateJWT, (req, res) => {
+  const { pubkey, jti, exp } = req.user;
+
+  if (req.body && req.body.all === true) {
+    tokenRevocation.revokePubkey(pubkey);
+    console.log(`Revoked all tokens for pubkey ${pubkey}`);
+  } else {
+    tokenRevocation.revokeToken(jti, exp);
+  }
+
+  res.json({ status: 'OK' });
+});
+
+// 5. List every repository the caller's pubkey is authorized for
+app.get('/api/mgit/repos', authenticateJWT, async (req, res) => {
+  const { pubkey } = req.user;
+
+  const entries = await Promise.all(Object.keys(repoConfigurations)
+    .map(async repoId => ({ repoId, authEntry: await findAuthEntry(repoId, pubkey) })));
+
+  const repos = entries
+    .filter(({ authEntry }) => authEntry)
+    .map(({ repoId, authEntry }) => ({
+      id: repoId,
+      name: repoId,
+      access: authEntry.access,
+      path: authEntry.path || null,
+      expiresAt: authEntry.expiresAt || null
+    }));
+
+  res.json({ 
+    status: 'OK',
+    pubkey,
+    repos
+  });
+});
+
+// 6. Exchange a session token from /api/auth/nostr/verify for a repository token without signing again
+app.post('/api/mgit/repos/:repoId/token', authenticateJWT, async (req, res) => {
+  const { repoId } = req.params;
+  const { pubkey } = req.user;
+
+  if (req.user.repoId) {
+    return res.status(403).json({ 
+      status: 'error', 
+      reason: 'A session token is required' 
+    });
+  }
+
+  if (!repoConfigurations[repoId]) {
+    return res.status(404).json({ 
+      status: 'error', 
+      reason: 'Repository not found' 
+    });
+  }
+
+  const authEntry = await findAuthEntry(repoId, pubkey);
+  if (!authEntry) {
+    return res.status(403).json({ 
+      status: 'error', 
+      reason: 'Not authorized for this repository' 
+    });
+  }
+
+  const { token, expiresIn } = issueRepoToken(repoId, pubkey, authEntry);
+
+  console.log(`Exchanged session token of ${pubkey} for ${authEntry.access} access to repo ${repoId}`);
+
+  res.json({ 
+    status: 'OK',
+    token,
+    access: authEntry.access,
+    path: authEntry.path || null,
+    expiresIn
+  });
+});
+
+// Resolve the repository on disk for routes that read it directly
+const requireRepository = (req, res, next) => {
+  const repoPath = path.join(REPOS_PATH, req.params.repoId);
+
+  if (!fs.existsSync(repoPath)) {
+    return res.status(404).json({ 
+      status: 'error', 
+      reason: 'Repository not found' 
+    });
+  }
+
+  req.repoPath = repoPath;
+  next();
+};
+
+// Repository overview, read from the default branch and cached until the next push
+app.get('/api/mgit/repos/:repoId/info', validateMGitToken, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const { pubkey, access } = req.user;
+  const grantPath = req.user.path || null;
+
+  try {
+    const overview = await repoOverview.getOverview(repoId, req.repoPath);
+
+    // Path grants only see the README and license when they fall inside the granted path
+    const visible = file => file && (!grantPath || accessGrants.isPathAllowed(grantPath, file.path)) ? file : null;
+    const readme = visible(overview.readme);
+
+    // Branch names, the head commit, dates and counts describe the whole repository, and a
+    // description taken from the README is only shown to those who can read the README
+    const hideDescription = overview.descriptionSource === 'readme' && !readme;
+    const scoped = grantPath ? {
+      description: hideDescription ? null : overview.description,
+      descriptionSource: hideDescription ? null : overview.descriptionSource,
+      defaultBranch: null,
+      headCommit: null,
+      counts: null,
+      createdAt: null,
+      updatedAt: null
+    } : {};
+
+    res.json({
+      id: repoId,
+      name: `${repoId}`,
+      access: access,
+      authorized_pubkey: pubkey,
+      path: grantPath,
+      ...overview,
+      readme,
+      license: visible(overview.license),
+      ...scoped
+    });
+  } catch (err) {
+    console.error(`Error reading overview of ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to read repository overview', 
+      details: err.message 
+    });
+  }
+});
+
+/*
+ * Repository access administration - manage authorized_keys at runtime
+ */
+
+// Only admins of the repository may manage its keys
+const requireRepoAdmin = (req, res, next) => {
+  if (req.user.access !== 'admin') {
+    return res.status(403).json({ 
+      status: 'error', 
+      reason: 'Admin access required' 
+    });
+  }
+
+  if (!repoConfigurations[req.params.repoId]) {
+    return res.status(404).json({ 
+      status: 'error', 
+      reason: 'Repository not found' 
+    });
+  }
+
+  next();
+};
+
+// Persist an updated repository configuration, keeping memory unchanged if the write fails
+function commitRepoConfig(repoId, updatedConfig) {
+  const updated = { ...repoConfigurations, [repoId]: updatedConfig };
+  repoStore.saveRepoConfigurations(REPO_CONFIG_PATH, updated);
+  repoConfigurations = updated;
+}
+
+app.get('/api/mgit/repos/:repoId/keys', validateMGitToken, requireRepoAdmin, (req, res) => {
+  const { repoId } = req.params;
+
+  res.json({
+    status: 'OK',
+    repoId,
+    authorized_keys: repoConfigurations[repoId].authorized_keys || []
+  });
+});
+
+app.post('/api/mgit/repos/:repoId/keys', validateMGitToken, requireRepoAdmin, (req, res) => {
+  const { repoId } = req.params;
+  const { pubkey, access } = req.body;
+
+  if (!repoStore.isValidAccess(access)) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `Access must be one of: ${repoStore.ACCESS_LEVELS.join(', ')}` 
+    });
+  }
+
+  let npub;
+  try {
+    npub = normalizePubkey(pubkey);
+  } catch (error) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Invalid public key' 
+    });
+  }
+
+  const config = repoConfigurations[repoId];
+  if ((config.authorized_keys || []).some(entry => entry.pubkey === npub)) {
+    return res.status(409).json({ 
+      status: 'error', 
+      reason: 'Key is already authorized for this repository' 
+    });
+  }
+
+  try {
+    commitRepoConfig(repoId, repoStore.setAuthorizedKey(config, npub, access));
+  } catch (error) {
+    console.error('Error saving repository configurations:', error);
+    return res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to save repository configuration' 
+    });
+  }
+
+  console.log(`Added key ${npub} with ${access} access to repo ${repoId}`);
+  res.status(201).json({ 
+    status: 'OK', 
+    pubkey: npub, 
+    access 
+  });
+});
+
+app.patch('/api/mgit/repos/:repoId/keys/:pubkey', validateMGitToken, requireRepoAdmin, async (req, res) => {
+  const { repoId } = req.params;
+  const { access } = req.body;
+
+  if (!repoStore.isValidAccess(access)) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `Access must be one of: ${repoStore.ACCESS_LEVELS.join(', ')}` 
+    });
+  }
+
+  let npub;
+  try {
+    npub = normalizePubkey(req.params.pubkey);
+  } catch (error) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Invalid public key' 
+    });
+  }
+
+  const config = repoConfigurations[repoId];
+  if (!(config.authorized_keys || []).some(entry => entry.pubkey === npub)) {
+    return res.status(404).json({ 
+      status: 'error', 
+      reason: 'Key is not authorized for this repository' 
+    });
+  }
+
+  if (access !== 'admin' && repoStore.isLastAdmin(config, npub)) {
+    return res.status(409).json({ 
+      status: 'error', 
+      reason: 'Cannot downgrade the last admin of a repository' 
+    });
+  }
+
+  try {
+    commitRepoConfig(repoId, repoStore.setAuthorizedKey(config, npub, access));
+  } catch (error) {
+    console.error('Error saving repository configurations:', error);
+    return res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to save repository configuration' 
+    });
+  }
+
+  // Tokens issued under the old, higher access level must not outlive the change
+  const previous = config.authorized_keys.find(entry => entry.pubkey === npub).access;
+  if (repoStore.ACCESS_LEVELS.indexOf(access) > repoStore.ACCESS_LEVELS.indexOf(previous)) {
+    tokenRevocation.revokeKey(repoId, npub);
+  }
+
+  console.log(`Changed key ${npub} to ${access} access on repo ${repoId}`);
+  res.json({ 
+    status: 'OK', 
+    pubkey: npub, 
+    access 
+  });
+});
+
+app.delete('/api/mgit/repos/:repoId/keys/:pubkey', validateMGitToken, requireRepoAdmin, async (req, res) => {
+  const { repoId } = req.params;
+
+  let npub;
+  try {
+    npub = normalizePubkey(req.params.pubkey);
+  } catch (error) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Invalid public key' 
+    });
+  }
+
+  const config = repoConfigurations[repoId];
+  if (!(config.authorized_keys || []).some(entry => entry.pubkey === npub)) {
+    return res.status(404).json({ 
+      status: 'error', 
+      reason: 'Key is not authorized for this repository' 
+    });
+  }
+
+  if (repoStore.isLastAdmin(config, npub)) {
+    return res.status(409).json({ 
+      status: 'error', 
+      reason: 'Cannot remove the last admin of a repository' 
+    });
+  }
+
+  try {
+    commitRepoConfig(repoId, repoStore.removeAuthorizedKey(config, npub));
+  } catch (error) {
+    console.error('Error saving repository configurations:', error);
+    return res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to save repository configuration' 
+    });
+  }
+
+  // Revoked by the entry the tokens were issued through, so a NIP-05 identifier that no longer
+  // resolves (or now points elsewhere) cannot keep the removed key's tokens alive
+  tokenRevocation.revokeKey(repoId, npub);
+
+  console.log(`Revoked key ${npub} from repo ${repoId}`);
+  res.json({ 
+    status: 'OK', 
+    pubkey: npub 
+  });
+});
+
+/*
+ * Delegated access - time-limited grants to another key or a one-time share link
+ */
+
+app.get('/api/mgit/repos/:repoId/grants', validateMGitToken, requireRepoAdmin, (req, res) => {
+  const { repoId } = req.params;
+
+  res.json({
+    status: 'OK',
+    repoId,
+    grants: accessGrants.activeGrants(repoConfigurations[repoId]).map(accessGrants.publicGrant)
+  });
+});
+
+app.post('/api/mgit/repos/:repoId/grants', validateMGitToken, requireRepoAdmin, (req, res) => {
+  const { repoId } = req.params;
+  const { pubkey, access, path: pathPrefix, expiresIn } = req.body;
+
+  if (!accessGrants.GRANTABLE_ACCESS.includes(access)) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `Access must be one of: ${accessGrants.GRANTABLE_ACCESS.join(', ')}` 
+    });
+  }
+
+  if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > accessGrants.MAX_GRANT_DURATION) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `expiresIn must be a number of seconds up to ${accessGrants.MAX_GRANT_DURATION}` 
+    });
+  }
+
+  if (pathPrefix !== undefined && pathPrefix !== null &&
+      (typeof pathPrefix !== 'string' || /^\.\.(\/|$)/.test(accessGrants.normalizePathPrefix(pathPrefix) || ''))) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Invalid path' 
+    });
+  }
+
+  // Grants are matched against the signing key, so they must name a key rather than a NIP-05 identifier
+  let npub = null;
+  if (pubkey) {
+    try {
+      npub = normalizePubkey(pubkey);
+    } catch (error) {
+      npub = null;
+    }
+    if (!npub || nip05.isNip05Identifier(npub)) {
+      return res.status(400).json({ 
+        status: 'error', 
+        reason: 'Invalid public key' 
+      });
+    }
+  }
+
+  const { repoConfig: updated, grant, shareToken } = accessGrants.addGrant(repoConfigurations[repoId], {
+    pubkey: npub,
+    access,
+    path: pathPrefix,
+    expiresIn,
+    createdBy: req.user.pubkey
+  });
+
+  try {
+    commitRepoConfig(repoId, updated);
+  } catch (error) {
+    console.error('Error saving repository configurations:', error);
+    return res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to save repository configuration' 
+    });
+  }
+
+  console.log(`Granted ${access} access to repo ${repoId} until ${grant.expiresAt} (${npub || 'share link'})`);
+  res.status(201).json({ 
+    status: 'OK', 
+    grant: accessGrants.publicGrant(grant),
+    shareToken: shareToken || undefined
+  });
+});
+
+app.delete('/api/mgit/repos/:repoId/grants/:grantId', validateMGitToken, requireRepoAdmin, (req, res) => {
+  const { repoId, grantId } = req.params;
+
+  const config = repoConfigurations[repoId];
+  if (!accessGrants.findActiveGrant(config, grantId)) {
+    return res.status(404).json({ 
+      status: 'error', 
+      reason: 'Grant not found' 
+    });
+  }
+
+  // Tokens carry the grant id, so removing the grant is enough to invalidate them
+  try {
+    commitRepoConfig(repoId, accessGrants.removeGrant(config, grantId));
+  } catch (error) {
+    console.error('Error saving repository configurations:', error);
+    return res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to save repository configuration' 
+    });
+  }
+
+  console.log(`Revoked grant ${grantId} on repo ${repoId}`);
+  res.json({ 
+    status: 'OK', 
+    grantId 
+  });
+});
+
+// app.get('/api/mgit/repos/:repoId/git-upload-pack', validateMGitToken, (req, res) => {
+//   const { repoId } = req.params;
+//   const { pubkey, access } = req.user;
+  
+//   // Get physical repository path
+//   const repoPath = path.join(REPOS_PATH, repoId);
+  
 //   // Check if repository exists
 //   if (!fs.existsSync(repoPath)) {
 //     return res.status(404).json({ 
@@ -528,7 +1441,7 @@ app.get('/api/mgit/repos/:repoId/info', validateMGitToken, (req, res) => {
  * MGit Repository API Endpoints
  */
 
-app.get('/api/mgit/repos/:repoId/show', validateMGitToken, (req, res) => {
+app.get('/api/mgit/repos/:repoId/show', validateMGitToken, requireFullAccess, (req, res) => {
   const { repoId } = req.params;
   const { access } = req.user;
   
@@ -577,7 +1490,7 @@ app.get('/api/mgit/repos/:repoId/show', validateMGitToken, (req, res) => {
   });
 });
 
-app.get('/api/mgit/repos/:repoId/clone', validateMGitToken, (req, res) => {
+app.get('/api/mgit/repos/:repoId/clone', validateMGitToken, requireFullAccess, (req, res) => {
   const { repoId } = req.params;
   const { access } = req.user;
   
@@ -631,7 +1544,7 @@ app.get('/api/mgit/repos/:repoId/clone', validateMGitToken, (req, res) => {
   Functions needed to re-implement git's protocol for sending and receiving data
 */
 // discovery phase of git's https smart discovery protocol
-app.get('/api/mgit/repos/:repoId/info/refs', validateMGitToken, (req, res) => {
+app.get('/api/mgit/repos/:repoId/info/refs', validateGitAuth, (req, res) => {
   const { repoId } = req.params;
   const service = req.query.service;
   
@@ -702,7 +1615,7 @@ app.get('/api/mgit/repos/:repoId/info/refs', validateMGitToken, (req, res) => {
 
 // Git protocol endpoint for git-upload-pack (needed for clone)
 // data transfer phase
-app.post('/api/mgit/repos/:repoId/git-upload-pack', validateMGitToken, (req, res) => {
+app.post('/api/mgit/repos/:repoId/git-upload-pack', validateGitAuth, (req, res) => {
   const { repoId } = req.params;
   
   // Get repository path
@@ -718,9 +1631,13 @@ app.post('/api/mgit/repos/:repoId/git-upload-pack', validateMGitToken, (req, res
   // Add better logging
   console.log(`POST git-upload-pack for ${repoId}`);
   
-  // Pipe the request body to git's stdin
-  req.pipe(process.stdin);
-  
+  // Pipe the request body to git's stdin (already buffered if NIP-98 auth checked it)
+  if (req.rawBody) {
+    process.stdin.end(req.rawBody);
+  } else {
+    req.pipe(process.stdin);
+  }
+  
   // Pipe git's stdout to the response
   process.stdout.pipe(res);
   
@@ -743,8 +1660,161 @@ app.post('/api/mgit/repos/:repoId/git-upload-pack', validateMGitToken, (req, res
   });
 });
 
+// Builds the check behind the "require signed commits" policy. A commit passes when its mapping,
+// or for a commit not mapped yet the entry the pusher uploaded ahead of the push, holds a valid
+// attestation signed by a key listed in authorized_keys.
+async function signedCommitCheck(repoPath, repoConfig, clientMappings) {
+  const authorized = new Set();
+  for (const entry of repoConfig.authorized_keys || []) {
+    try {
+      (await entryPubkeys(entry.pubkey)).forEach(key => authorized.add(key));
+    } catch (err) {
+      console.error(`Ignoring unreadable authorized key ${entry.pubkey}: ${err.message}`);
+    }
+  }
+
+  const known = mgitMappings.getMappings(repoPath).byGitHash;
+  const supplied = new Map(clientMappings.map(entry => [entry.GitHash, entry]));
+
+  return async (hash) => {
+    // Mirrors recordPushedMappings: existing mappings are kept, new ones take the signer's key
+    const client = supplied.get(hash);
+    const mapping = known.get(hash) ||
+      (client && client.Attestation ? { ...client, Pubkey: client.Attestation.pubkey } : null);
+
+    if (!mapping) {
+      return 'has no attestation; upload its mapping to /mappings before pushing';
+    }
+
+    const verification = commitAttestation.verifyCommit(hash, mapping);
+    if (verification.status !== 'verified') {
+      return `has no valid attestation (${verification.reason})`;
+    }
+    if (!authorized.has(verification.signer)) {
+      return `is signed by ${verification.signer}, which is not in authorized_keys`;
+    }
+    return null;
+  };
+}
+
+// Inspect a buffered push against the repository's branch and path rules and its signed commit policy.
+// Resolves with the commands git may apply and the rejected ones.
+async function checkPush(repoPath, request, repoConfig, access, { repoId, clientMappings }) {
+  const quarantine = await receivePack.createQuarantine(repoPath, request.pack);
+  const git = (args) => receivePack.runGit(args, { cwd: repoPath, env: quarantine.env });
+
+  try {
+    const signedMode = pushPolicy.signedCommitsMode(repoConfig);
+    const checkCommit = signedMode ? await signedCommitCheck(repoPath, repoConfig, clientMappings) : null;
+
+    const accepted = [];
+    const rejections = [];
+    for (const command of request.commands) {
+      let reason = await pushPolicy.checkRefUpdate(command, { repoConfig, access, git });
+
+      if (!reason && checkCommit) {
+        const unsigned = await pushPolicy.checkSignedCommits(command, { git, checkCommit });
+        // In dry-run mode violations are only logged, so a repository can be switched over safely
+        if (unsigned && signedMode === 'dry-run') {
+          console.log(`Signed commit policy (dry run) would reject push to ${repoId} ${command.ref}: ${unsigned}`);
+        } else {
+          reason = unsigned;
+        }
+      }
+
+      if (reason) {
+        rejections.push({ ref: command.ref, reason });
+      } else {
+        accepted.push(command);
+      }
+    }
+
+    // An atomic push must not be applied partially
+    if (rejections.length > 0 && request.capabilities.includes('atomic')) {
+      accepted.forEach(command => rejections.push({ ref: command.ref, reason: 'atomic push failed' }));
+      return { accepted: [], rejections };
+    }
+
+    return { accepted, rejections };
+  } finally {
+    quarantine.cleanup();
+  }
+}
+
+// Records the MGit mappings a client uploaded for commits its push added. MGit hashes are the
+// client's to compute, so commits pushed without an uploaded entry stay unmapped. Entries are
+// attributed to the pushing key, or to the key that signed the entry's attestation.
+async function recordPushedMappings(repoId, repoPath, refsBefore, pubkey, clientEntries) {
+  if (clientEntries.length === 0) {
+    return;
+  }
+
+  const refsAfter = await receivePack.readRefs(repoPath);
+  const tips = Array.from(refsAfter)
+    .filter(([ref, oid]) => refsBefore.get(ref) !== oid)
+    .map(([, oid]) => oid);
+
+  const commits = await receivePack.listNewCommits(repoPath, tips, Array.from(new Set(refsBefore.values())));
+  const known = mgitMappings.getMappings(repoPath).byGitHash;
+  const supplied = new Map(clientEntries.map(entry => [entry.GitHash, entry]));
+
+  const entries = commits
+    .filter(hash => !known.has(hash) && supplied.has(hash))
+    .map((hash) => {
+      const client = supplied.get(hash);
+      return { ...client, Pubkey: client.Attestation ? client.Attestation.pubkey : pubkey };
+    });
+
+  const added = await mgitMappings.appendMappings(repoPath, entries);
+  if (added > 0) {
+    console.log(`Recorded ${added} MGit mappings for push to ${repoId} by ${pubkey}`);
+  }
+}
+
+// Announces a repository and its refs on nostr. Every repository here needs a token to read,
+// so none is published unless its configuration opts in with publish_nip34: true.
+async function publishRepositoryEvents(repoId, repoPath, repoConfig, baseUrl) {
+  const [overview, refs, defaultBranch] = await Promise.all([
+    repoOverview.getOverview(repoId, repoPath),
+    receivePack.readRefs(repoPath),
+    repoRefs.getDefaultBranch(repoPath)
+  ]);
+
+  let rootCommit = null;
+  if (overview.headCommit) {
+    const roots = await receivePack.runGit(['rev-list', '--max-parents=0', overview.headCommit], { cwd: repoPath });
+    rootCommit = roots.split('\n').filter(Boolean).pop() || null;
+  }
+
+  const maintainers = [];
+  for (const entry of (repoConfig.authorized_keys || []).filter(key => key.access === 'admin')) {
+    try {
+      maintainers.push(...await entryPubkeys(entry.pubkey));
+    } catch (err) {
+      console.error(`Ignoring unreadable authorized key ${entry.pubkey}: ${err.message}`);
+    }
+  }
+
+  const published = await nip34.publishRepository({
+    repoId,
+    description: overview.description,
+    cloneUrls: [`${baseUrl}/api/mgit/repos/${repoId}`],
+    rootCommit,
+    maintainers,
+    refs,
+    defaultBranch
+  });
+  published.forEach(({ event, results }) => {
+    const accepted = results.filter(result => result.accepted).length;
+    console.log(`Published kind ${event.kind} event for ${repoId} to ${accepted} of ${results.length} relays`);
+    results.filter(result => !result.accepted).forEach((result) => {
+      console.warn(`Relay ${result.relay} did not accept kind ${event.kind} event for ${repoId}: ${result.message}`);
+    });
+  });
+}
+
 // Git protocol endpoint for git-receive-pack (needed for push)
-app.post('/api/mgit/repos/:repoId/git-receive-pack', validateMGitToken, (req, res) => {
+app.post('/api/mgit/repos/:repoId/git-receive-pack', validateGitAuth, async (req, res) => {
   const { repoId } = req.params;
   const { access } = req.user;
   
@@ -766,10 +1836,57 @@ app.post('/api/mgit/repos/:repoId/git-receive-pack', validateMGitToken, (req, re
       reason: 'Repository not found' 
     });
   }
+
+  // Mapping entries the pusher uploaded for the commits of this push
+  const clientMappings = Array.from(getPendingMappings(repoId, req.user.pubkey).values());
   
   // Set content type for git response
   res.setHeader('Content-Type', 'application/x-git-receive-pack-result');
+
+  // With branch, path or signed commit rules configured, the ref updates are checked before git sees them
+  const repoConfig = repoConfigurations[repoId] || {};
+  let input = null;
+  let request = null;
+  let rejections = [];
+
+  if (pushPolicy.hasPushRules(repoConfig)) {
+    try {
+      request = receivePack.parseReceivePackRequest((await readRawBody(req)) || Buffer.alloc(0));
+    } catch (err) {
+      console.error(`Invalid git-receive-pack request for ${repoId}: ${err.message}`);
+      return res.status(400).json({ 
+        status: 'error', 
+        reason: 'Invalid receive-pack request' 
+      });
+    }
+
+    let result;
+    try {
+      result = await checkPush(repoPath, request, repoConfig, access, { repoId, clientMappings });
+    } catch (err) {
+      console.error(`Error checking push to ${repoId}: ${err.message}`);
+      const failed = request.commands.map(command => ({ ref: command.ref, reason: 'unpacker error' }));
+      return res.end(receivePack.buildRejectionResponse(failed, request.capabilities, 'index-pack failed'));
+    }
+
+    rejections = result.rejections;
+    rejections.forEach(({ ref, reason }) => console.log(`Rejected push to ${repoId} ${ref}: ${reason}`));
+
+    if (result.accepted.length === 0) {
+      return res.end(receivePack.buildRejectionResponse(rejections, request.capabilities));
+    }
+
+    input = receivePack.buildReceivePackRequest(request, result.accepted);
+  }
   
+  // Remember where the refs were, so the commits this push adds can be found afterwards
+  let refsBefore = null;
+  try {
+    refsBefore = await receivePack.readRefs(repoPath);
+  } catch (err) {
+    console.error(`Error reading refs of ${repoId} before push: ${err.message}`);
+  }
+
   // Spawn git receive-pack process
   const { spawn } = require('child_process');
   const process = spawn('git', ['receive-pack', '--stateless-rpc', repoPath]);
@@ -777,11 +1894,25 @@ app.post('/api/mgit/repos/:repoId/git-receive-pack', validateMGitToken, (req, re
   // Add better logging
   console.log(`POST git-receive-pack for ${repoId}`);
   
-  // Pipe the request body to git's stdin
-  req.pipe(process.stdin);
+  // Pipe the request body to git's stdin (already buffered if NIP-98 auth or push rules read it)
+  if (input) {
+    process.stdin.end(input);
+  } else if (req.rawBody) {
+    process.stdin.end(req.rawBody);
+  } else {
+    req.pipe(process.stdin);
+  }
   
-  // Pipe git's stdout to the response
-  process.stdout.pipe(res);
+  // Pipe git's stdout to the response, adding our rejections to git's report
+  if (request) {
+    const output = [];
+    process.stdout.on('data', (data) => output.push(data));
+    process.stdout.on('end', () => {
+      res.end(receivePack.mergeReportStatus(Buffer.concat(output), rejections, request.capabilities));
+    });
+  } else {
+    process.stdout.pipe(res);
+  }
   
   // Log stderr
   process.stderr.on('data', (data) => {
@@ -804,21 +1935,30 @@ app.post('/api/mgit/repos/:repoId/git-receive-pack', validateMGitToken, (req, re
   process.on('exit', (code) => {
     console.log(`git-receive-pack process exited with code ${code}`);
     
-    // If we wanted to extend this to handle MGit metadata, we would do it here
-    // after the git process completes successfully
+    // Once git has accepted the push, bring the MGit mappings up to date
     if (code === 0) {
       console.log(`Successfully processed push for repository ${repoId}`);
-      
-      // In the future, you might want to add code here to:
-      // 1. Extract commit info from the pushed data
-      // 2. Update nostr_mappings.json
-      // 3. Perform any other MGit-specific operations
+      repoOverview.invalidate(repoId);
+
+      // Uploaded entries are used up by the push, whether or not they matched its commits
+      pendingMappings.delete(`${repoId} ${req.user.pubkey}`);
+      if (refsBefore) {
+        recordPushedMappings(repoId, repoPath, refsBefore, req.user.pubkey, clientMappings).catch((err) => {
+          console.error(`Error recording MGit mappings for push to ${repoId}: ${err.message}`);
+        });
+      }
+
+      if (nip34 && repoConfig.publish_nip34 === true) {
+        publishRepositoryEvents(repoId, repoPath, repoConfig, publicBaseUrl(req)).catch((err) => {
+          console.error(`Error publishing NIP-34 events for ${repoId}: ${err.message}`);
+        });
+      }
     }
   });
 });
 
 // Endpoint to get MGit-specific metadata (e.g., nostr mappings)
-app.get('/api/mgit/repos/:repoId/metadata', validateMGitToken, (req, res) => {
+app.get('/api/mgit/repos/:repoId/metadata', validateMGitToken, requireFullAccess, (req, res) => {
   const { repoId } = req.params;
   const { access } = req.user;
   
@@ -841,11 +1981,8 @@ app.get('/api/mgit/repos/:repoId/metadata', validateMGitToken, (req, res) => {
     });
   }
   
-  // Updated path to check both potential locations for mappings
-  const mappingsPaths = [
-    path.join(repoPath, '.mgit', 'mappings', 'hash_mappings.json'),  // New location
-    path.join(repoPath, '.mgit', 'nostr_mappings.json')               // Old location
-  ];
+  // Check both potential locations for mappings, new location first
+  const mappingsPaths = mgitMappings.mappingsPaths(repoPath);
   
   let mappingsPath = null;
   
@@ -893,6 +2030,1468 @@ app.get('/api/mgit/repos/:repoId/metadata', validateMGitToken, (req, res) => {
   }
 });
 
+/*
+ * Repository browsing - read files and history from the object database without a checkout
+ */
+
+app.get('/api/mgit/repos/:repoId/tree/*', validateMGitToken, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const grantPath = req.user.path || null;
+
+  try {
+    const { ref, path: requestedPath } = await repoBrowser.splitRefPath(req.repoPath, req.params[0]);
+    const treePath = repoBrowser.cleanTreePath(requestedPath);
+    if (treePath === null) {
+      return res.status(400).json({ 
+        status: 'error', 
+        reason: 'Invalid path' 
+      });
+    }
+
+    const commit = await repoBrowser.resolveCommit(req.repoPath, ref);
+    if (!commit) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Unknown ref: ${ref}` 
+      });
+    }
+
+    // Grants limited to a path may still walk the directories leading to it
+    if (!accessGrants.isPathVisible(grantPath, treePath)) {
+      return res.status(403).json({ 
+        status: 'error', 
+        reason: `Access is limited to ${grantPath}` 
+      });
+    }
+
+    const tree = await repoBrowser.getTree(req.repoPath, commit, treePath);
+    if (!tree) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: 'Path not found' 
+      });
+    }
+
+    if (tree.type !== 'dir') {
+      return res.json({
+        status: 'OK',
+        repoId,
+        ref,
+        commit,
+        path: treePath,
+        type: tree.type,
+        entry: tree.entry
+      });
+    }
+
+    const entries = tree.entries.filter(entry => accessGrants.isPathVisible(grantPath, entry.path));
+
+    // Last commits cost a history walk, so they are only computed when asked for
+    if (req.query.lastCommit === 'true') {
+      const lastCommits = await repoBrowser.getLastCommits(req.repoPath, commit, treePath, entries.map(entry => entry.name));
+      entries.forEach((entry) => {
+        entry.lastCommit = lastCommits[entry.name] || null;
+      });
+    }
+
+    res.json({
+      status: 'OK',
+      repoId,
+      ref,
+      commit,
+      path: treePath,
+      type: 'dir',
+      entries
+    });
+  } catch (err) {
+    console.error(`Error listing tree for ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to list repository tree',
+      details: err.message
+    });
+  }
+});
+
+// Blobs larger than this are not inlined in JSON responses; use the raw route instead
+const BLOB_INLINE_LIMIT = 1024 * 1024;
+
+// Types a browser would run as active content; raw serves them as plain text
+const ACTIVE_CONTENT_TYPES = ['text/html', 'image/svg+xml', 'application/xml', 'text/javascript'];
+
+// Resolve "<ref>/<path>" from a blob or raw route to a file entry, answering with an error if it is not one
+async function resolveBlobRequest(req, res) {
+  const { ref, path: requestedPath } = await repoBrowser.splitRefPath(req.repoPath, req.params[0]);
+  const filePath = repoBrowser.cleanTreePath(requestedPath);
+  if (!filePath) {
+    res.status(400).json({ 
+      status: 'error', 
+      reason: 'A file path is required' 
+    });
+    return null;
+  }
+
+  const commit = await repoBrowser.resolveCommit(req.repoPath, ref);
+  if (!commit) {
+    res.status(404).json({ 
+      status: 'error', 
+      reason: `Unknown ref: ${ref}` 
+    });
+    return null;
+  }
+
+  if (!accessGrants.isPathAllowed(req.user.path || null, filePath)) {
+    res.status(403).json({ 
+      status: 'error', 
+      reason: `Access is limited to ${req.user.path}` 
+    });
+    return null;
+  }
+
+  const tree = await repoBrowser.getTree(req.repoPath, commit, filePath);
+  if (!tree) {
+    res.status(404).json({ 
+      status: 'error', 
+      reason: 'Path not found' 
+    });
+    return null;
+  }
+
+  if (tree.type !== 'file' && tree.type !== 'symlink') {
+    res.status(400).json({ 
+      status: 'error', 
+      reason: `Path is a ${tree.type}, not a file` 
+    });
+    return null;
+  }
+
+  return { ref, commit, filePath, entry: tree.entry };
+}
+
+app.get('/api/mgit/repos/:repoId/blob/*', validateMGitToken, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+
+  try {
+    const blob = await resolveBlobRequest(req, res);
+    if (!blob) {
+      return;
+    }
+
+    const { entry } = blob;
+    const head = await repoBrowser.readBlobHead(req.repoPath, entry.sha, Math.min(entry.size, BLOB_INLINE_LIMIT));
+    const { contentType: type, binary } = contentType.detectContentType(blob.filePath, head);
+    const truncated = entry.size > BLOB_INLINE_LIMIT;
+
+    res.json({
+      status: 'OK',
+      repoId,
+      ref: blob.ref,
+      commit: blob.commit,
+      path: blob.filePath,
+      name: entry.name,
+      sha: entry.sha,
+      mode: entry.mode,
+      size: entry.size,
+      contentType: type,
+      binary,
+      encoding: binary ? 'base64' : 'utf-8',
+      // Large files are left to the raw route, which supports range requests
+      content: truncated ? null : head.toString(binary ? 'base64' : 'utf8'),
+      truncated
+    });
+  } catch (err) {
+    console.error(`Error reading blob from ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to read file',
+      details: err.message
+    });
+  }
+});
+
+app.get('/api/mgit/repos/:repoId/raw/*', validateMGitToken, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+
+  try {
+    const blob = await resolveBlobRequest(req, res);
+    if (!blob) {
+      return;
+    }
+
+    const { entry } = blob;
+    const head = await repoBrowser.readBlobHead(req.repoPath, entry.sha, contentType.SNIFF_LENGTH);
+    const detected = contentType.detectContentType(blob.filePath, head).contentType;
+    const type = ACTIVE_CONTENT_TYPES.includes(detected) ? 'text/plain' : detected;
+
+    // Blob ids name the content exactly, so they make strong validators
+    const etag = `"${entry.sha}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', type.startsWith('text/') || type === 'application/json' ? `${type}; charset=utf-8` : type);
+    res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+    res.setHeader('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; ` +
+      `filename="${entry.name.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(entry.name)}`);
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    // Only a single range is served; a stale If-Range means the whole file is sent
+    let range = null;
+    if (req.headers.range && (!req.headers['if-range'] || req.headers['if-range'] === etag)) {
+      const ranges = req.range(entry.size, { combine: true });
+      if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${entry.size}`);
+        return res.status(416).end();
+      }
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${entry.size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.setHeader('Content-Length', entry.size);
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = repoBrowser.createBlobStream(req.repoPath, entry.sha, range);
+    stream.on('error', (err) => {
+      console.error(`Error streaming blob ${entry.sha} from ${repoId}:`, err.message);
+      res.destroy(err);
+    });
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+  } catch (err) {
+    console.error(`Error reading raw file from ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to read file',
+      details: err.message
+    });
+  }
+});
+
+// Page sizes for the commit history
+const COMMITS_PAGE_SIZE = 30;
+const MAX_COMMITS_PAGE_SIZE = 100;
+
+// Cursors pin the commit a listing started from, so pushes don't shift later pages
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return /^[0-9a-f]{40,64}$/.test(cursor.commit) && Number.isInteger(cursor.skip) && cursor.skip >= 0 ? cursor : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Hex form of the pubkey recorded in a mapping entry, which may be stored as npub or hex
+function mappingPubkeyHex(pubkey) {
+  try {
+    return pubkey && pubkey.startsWith('npub1') ? bech32ToHex(pubkey) : (pubkey || '').toLowerCase();
+  } catch (err) {
+    return null;
+  }
+}
+
+// Add the MGit hash and nostr author recorded for a commit, and whether a signed attestation backs them
+function withMapping(commit, mapping) {
+  return {
+    ...commit,
+    mgitHash: mapping ? mapping.MGitHash : null,
+    author: { ...commit.author, nostrPubkey: mapping ? mapping.Pubkey : null },
+    verification: commitAttestation.verifyCommit(commit.hash, mapping)
+  };
+}
+
+app.get('/api/mgit/repos/:repoId/commits', validateMGitToken, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const { author, pubkey, q, cursor } = req.query;
+  const grantPath = req.user.path || null;
+
+  const limit = req.query.limit === undefined ? COMMITS_PAGE_SIZE : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_COMMITS_PAGE_SIZE) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `limit must be between 1 and ${MAX_COMMITS_PAGE_SIZE}` 
+    });
+  }
+
+  const dates = {};
+  for (const key of ['since', 'until']) {
+    if (req.query[key] !== undefined) {
+      const time = Date.parse(req.query[key]);
+      if (Number.isNaN(time)) {
+        return res.status(400).json({ 
+          status: 'error', 
+          reason: `Invalid ${key} date` 
+        });
+      }
+      // Passed to git as a unix timestamp, which it parses without guessing
+      dates[key] = `@${Math.floor(time / 1000)}`;
+    }
+  }
+
+  // Path-scoped grants only see history of their own path
+  const filterPath = req.query.path !== undefined ? repoBrowser.cleanTreePath(req.query.path) : grantPath;
+  if (filterPath === null && req.query.path !== undefined) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Invalid path' 
+    });
+  }
+  if (grantPath && !accessGrants.isPathAllowed(grantPath, filterPath)) {
+    return res.status(403).json({ 
+      status: 'error', 
+      reason: `Access is limited to ${grantPath}` 
+    });
+  }
+
+  try {
+    let start = null;
+    if (cursor !== undefined) {
+      start = decodeCursor(cursor);
+      if (!start) {
+        return res.status(400).json({ 
+          status: 'error', 
+          reason: 'Invalid cursor' 
+        });
+      }
+    }
+
+    const ref = req.query.ref || 'HEAD';
+    const commit = start ? start.commit : await repoBrowser.resolveCommit(req.repoPath, ref);
+    if (!commit) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Unknown ref: ${ref}` 
+      });
+    }
+
+    const mappings = mgitMappings.getMappings(req.repoPath).byGitHash;
+
+    // The nostr pubkey filter is matched against the mappings, which git knows nothing about
+    let filter = null;
+    if (pubkey) {
+      let hexKeys;
+      try {
+        hexKeys = await entryPubkeys(normalizePubkey(pubkey));
+      } catch (err) {
+        return res.status(400).json({ 
+          status: 'error', 
+          reason: 'Invalid public key' 
+        });
+      }
+      filter = (entry) => {
+        const mapping = mappings.get(entry.hash);
+        return !!mapping && hexKeys.includes(mappingPubkeyHex(mapping.Pubkey));
+      };
+    }
+
+    const page = await repoBrowser.listCommits(req.repoPath, {
+      commit,
+      skip: start ? start.skip : 0,
+      limit,
+      path: filterPath || undefined,
+      author,
+      since: dates.since,
+      until: dates.until,
+      query: q,
+      filter
+    });
+
+    const commits = page.commits.map(entry => withMapping(entry, mappings.get(entry.hash)));
+
+    res.json({
+      status: 'OK',
+      repoId,
+      ref,
+      commit,
+      commits,
+      nextCursor: page.hasMore ? encodeCursor({ commit, skip: page.consumed }) : null
+    });
+  } catch (err) {
+    console.error(`Error listing commits for ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to list commits',
+      details: err.message
+    });
+  }
+});
+
+// Limits that keep huge diffs from blowing up responses
+const MAX_DIFF_BYTES = 2 * 1024 * 1024;
+const MAX_DIFF_LINES_PER_FILE = 2000;
+const MAX_COMPARE_COMMITS = 250;
+
+// Diff formats for the commit and compare routes; json-semantic diffs .json files structurally
+const DIFF_FORMATS = ['text', 'json-semantic'];
+const MAX_SEMANTIC_JSON_SIZE = 2 * 1024 * 1024;
+const MAX_SEMANTIC_CHANGES = 1000;
+
+// Checks the format query parameter, answering 400 if it is unknown
+function readDiffFormat(req, res) {
+  const format = req.query.format || 'text';
+  if (!DIFF_FORMATS.includes(format)) {
+    res.status(400).json({ 
+      status: 'error', 
+      reason: `format must be one of ${DIFF_FORMATS.join(', ')}` 
+    });
+    return null;
+  }
+  return format;
+}
+
+// Reads one side of a changed JSON file: null if it does not exist, { tooLarge } past the size limit
+async function readJsonSide(repoPath, commit, filePath) {
+  if (!commit || !filePath) {
+    return null;
+  }
+  try {
+    const content = await repoBrowser.readBlobHead(repoPath, `${commit}:${filePath}`, MAX_SEMANTIC_JSON_SIZE + 1);
+    return content.length > MAX_SEMANTIC_JSON_SIZE ? { tooLarge: true } : { text: content.toString('utf8') };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Replaces the line diff of .json files with changes by JSON path, keeping the text diff
+// (with the reason in semanticError) when a side is too large or does not parse
+async function withSemanticJson(repoPath, base, head, files) {
+  const result = [];
+  for (const file of files) {
+    if (file.binary || !/\.json$/i.test(file.newPath || file.oldPath || '')) {
+      result.push(file);
+      continue;
+    }
+
+    const sides = {
+      old: file.status === 'added' ? null : await readJsonSide(repoPath, base, file.oldPath),
+      new: file.status === 'deleted' ? null : await readJsonSide(repoPath, head, file.newPath)
+    };
+
+    const parsed = {};
+    let semanticError = null;
+    for (const [side, content] of Object.entries(sides)) {
+      if (content && content.tooLarge) {
+        semanticError = `The ${side} version is too large for a semantic diff`;
+      } else if (content) {
+        const { value, error } = jsonDiff.parseJson(content.text);
+        if (error) {
+          semanticError = `The ${side} version is not valid JSON: ${error}`;
+        }
+        parsed[side] = value;
+      }
+    }
+
+    if (semanticError) {
+      result.push({ ...file, format: 'text', semanticError });
+      continue;
+    }
+
+    const { changes, truncated } = jsonDiff.diffJson(parsed.old, parsed.new, { maxChanges: MAX_SEMANTIC_CHANGES });
+    result.push({ ...file, format: 'json-semantic', hunks: [], changes, truncated });
+  }
+  return result;
+}
+
+app.get('/api/mgit/repos/:repoId/commits/:sha', validateMGitToken, requireRepository, async (req, res) => {
+  const { repoId, sha } = req.params;
+  const grantPath = req.user.path || null;
+
+  const format = readDiffFormat(req, res);
+  if (!format) {
+    return;
+  }
+
+  try {
+    // MGit hashes are accepted too and looked up in the mappings
+    const mapped = mgitMappings.findByMGitHash(req.repoPath, sha);
+    const hash = await repoBrowser.resolveCommit(req.repoPath, sha) ||
+      (mapped ? await repoBrowser.resolveCommit(req.repoPath, mapped.GitHash) : null);
+    if (!hash) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Unknown commit: ${sha}` 
+      });
+    }
+
+    const commit = await repoBrowser.getCommit(req.repoPath, hash);
+
+    // Merges are shown against their first parent, root commits against an empty tree
+    const diff = await repoBrowser.diffCommits(req.repoPath, commit.parents[0] || null, hash, {
+      paths: grantPath ? [grantPath] : [],
+      maxBytes: MAX_DIFF_BYTES,
+      maxLinesPerFile: MAX_DIFF_LINES_PER_FILE
+    });
+
+    // A path grant only learns about commits that change something under its path
+    if (grantPath && diff.files.length === 0) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Unknown commit: ${sha}` 
+      });
+    }
+
+    const files = format === 'json-semantic'
+      ? await withSemanticJson(req.repoPath, commit.parents[0] || null, hash, diff.files)
+      : diff.files;
+
+    res.json({
+      status: 'OK',
+      repoId,
+      commit: withMapping(commit, mgitMappings.findByGitHash(req.repoPath, hash)),
+      stats: diff.stats,
+      format,
+      files,
+      truncated: files.some(file => file.truncated)
+    });
+  } catch (err) {
+    console.error(`Error reading commit ${sha} from ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to read commit',
+      details: err.message
+    });
+  }
+});
+
+app.get('/api/mgit/repos/:repoId/compare/*', validateMGitToken, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const grantPath = req.user.path || null;
+
+  const refs = req.params[0].split('...');
+  if (refs.length !== 2 || !refs[0] || !refs[1]) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Compare expects base...head' 
+    });
+  }
+  const [baseRef, headRef] = refs;
+
+  const format = readDiffFormat(req, res);
+  if (!format) {
+    return;
+  }
+
+  try {
+    const base = await repoBrowser.resolveCommit(req.repoPath, baseRef);
+    const head = await repoBrowser.resolveCommit(req.repoPath, headRef);
+    if (!base || !head) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Unknown ref: ${base ? headRef : baseRef}` 
+      });
+    }
+
+    // Like GitHub, show what head adds since it diverged from base
+    const mergeBase = await repoBrowser.getMergeBase(req.repoPath, base, head);
+    // Path grants only count the commits that touch their path, like the commit list below
+    const { ahead, behind } = await repoBrowser.countAheadBehind(req.repoPath, base, head, grantPath);
+
+    const page = await repoBrowser.listCommits(req.repoPath, {
+      commit: head,
+      exclude: base,
+      limit: MAX_COMPARE_COMMITS,
+      path: grantPath || undefined
+    });
+    const mappings = mgitMappings.getMappings(req.repoPath).byGitHash;
+
+    const diff = await repoBrowser.diffCommits(req.repoPath, mergeBase || base, head, {
+      paths: grantPath ? [grantPath] : [],
+      maxBytes: MAX_DIFF_BYTES,
+      maxLinesPerFile: MAX_DIFF_LINES_PER_FILE
+    });
+    const files = format === 'json-semantic'
+      ? await withSemanticJson(req.repoPath, mergeBase || base, head, diff.files)
+      : diff.files;
+
+    res.json({
+      status: 'OK',
+      repoId,
+      base: { ref: baseRef, commit: base },
+      head: { ref: headRef, commit: head },
+      mergeBase,
+      aheadBy: ahead,
+      behindBy: behind,
+      commits: page.commits.map(entry => withMapping(entry, mappings.get(entry.hash))),
+      commitsTruncated: page.hasMore,
+      stats: diff.stats,
+      format,
+      files,
+      truncated: files.some(file => file.truncated)
+    });
+  } catch (err) {
+    console.error(`Error comparing ${req.params[0]} in ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to compare refs',
+      details: err.message
+    });
+  }
+});
+
+app.get('/api/mgit/repos/:repoId/blame/*', validateMGitToken, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const grantPath = req.user.path || null;
+
+  try {
+    const blob = await resolveBlobRequest(req, res);
+    if (!blob) {
+      return;
+    }
+
+    const head = await repoBrowser.readBlobHead(req.repoPath, blob.entry.sha, contentType.SNIFF_LENGTH);
+    if (contentType.isBinaryContent(head)) {
+      return res.status(400).json({ 
+        status: 'error', 
+        reason: 'Cannot blame a binary file' 
+      });
+    }
+
+    const blame = await repoBrowser.getBlame(req.repoPath, blob.commit, blob.filePath, {
+      ignoreWhitespace: req.query.ignoreWhitespace === 'true',
+      detectMoves: req.query.detectMoves === 'true',
+      detectCopies: req.query.detectCopies === 'true'
+    });
+
+    // Attribute each commit to the nostr key in the mappings, with a profile name if one is cached
+    const mappings = mgitMappings.getMappings(req.repoPath).byGitHash;
+    const commits = {};
+    Object.values(blame.commits).forEach((commit) => {
+      const mapping = mappings.get(commit.hash);
+      const hexPubkey = mapping ? mappingPubkeyHex(mapping.Pubkey) : null;
+      commits[commit.hash] = {
+        ...commit,
+        mgitHash: mapping ? mapping.MGitHash : null,
+        nostrPubkey: mapping ? mapping.Pubkey : null,
+        nostrName: hexPubkey ? nostrProfiles.profileName(profileStore.getCached(hexPubkey)) : null
+      };
+    });
+
+    // Copy detection may point at files outside a path-limited grant
+    const ranges = blame.ranges.map(range => (accessGrants.isPathAllowed(grantPath, range.originalPath)
+      ? range
+      : { ...range, originalPath: null, originalStartLine: null }));
+
+    res.json({
+      status: 'OK',
+      repoId,
+      ref: blob.ref,
+      commit: blob.commit,
+      path: blob.filePath,
+      commits,
+      ranges
+    });
+  } catch (err) {
+    console.error(`Error blaming file in ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to blame file',
+      details: err.message
+    });
+  }
+});
+
+// Search limits: page sizes, context lines and how long a search may run
+const SEARCH_PAGE_SIZE = 30;
+const MAX_SEARCH_PAGE_SIZE = 100;
+const MAX_SEARCH_CONTEXT = 10;
+const MAX_SEARCH_QUERY_LENGTH = 256;
+const MAX_SEARCH_LINE_LENGTH = 500;
+const SEARCH_TIMEOUT = 10 * 1000;
+
+// code: file contents at a ref, commits: commit messages, changes: commits adding or removing matching lines
+const SEARCH_TYPES = ['code', 'commits', 'changes'];
+
+app.get('/api/mgit/repos/:repoId/search', validateMGitToken, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const { q, glob, cursor } = req.query;
+  const type = req.query.type || 'code';
+  const regex = req.query.regex === 'true';
+  const grantPath = req.user.path || null;
+
+  if (typeof q !== 'string' || !q || q.length > MAX_SEARCH_QUERY_LENGTH) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `q is required and may be at most ${MAX_SEARCH_QUERY_LENGTH} characters` 
+    });
+  }
+  if (!SEARCH_TYPES.includes(type)) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `type must be one of ${SEARCH_TYPES.join(', ')}` 
+    });
+  }
+
+  const limit = req.query.limit === undefined ? SEARCH_PAGE_SIZE : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_PAGE_SIZE) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `limit must be between 1 and ${MAX_SEARCH_PAGE_SIZE}` 
+    });
+  }
+
+  const context = req.query.context === undefined ? 0 : parseInt(req.query.context, 10);
+  if (!Number.isInteger(context) || context < 0 || context > MAX_SEARCH_CONTEXT) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `context must be between 0 and ${MAX_SEARCH_CONTEXT}` 
+    });
+  }
+
+  // Path-scoped grants only search their own path
+  const filterPath = req.query.path !== undefined ? repoBrowser.cleanTreePath(req.query.path) : grantPath;
+  if (filterPath === null && req.query.path !== undefined) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Invalid path' 
+    });
+  }
+  if (grantPath && !accessGrants.isPathAllowed(grantPath, filterPath)) {
+    return res.status(403).json({ 
+      status: 'error', 
+      reason: `Access is limited to ${grantPath}` 
+    });
+  }
+  if (glob !== undefined && (typeof glob !== 'string' || !glob || /^[/:]|\.\./.test(glob))) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Invalid glob' 
+    });
+  }
+
+  try {
+    let start = null;
+    if (cursor !== undefined) {
+      start = decodeCursor(cursor);
+      if (!start) {
+        return res.status(400).json({ 
+          status: 'error', 
+          reason: 'Invalid cursor' 
+        });
+      }
+    }
+
+    const ref = req.query.ref || 'HEAD';
+    const commit = start ? start.commit : await repoBrowser.resolveCommit(req.repoPath, ref);
+    if (!commit) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Unknown ref: ${ref}` 
+      });
+    }
+
+    const result = { status: 'OK', repoId, type, ref, commit, q };
+
+    if (type === 'code') {
+      // A glob without a slash matches file names at any depth below the path
+      const base = filterPath ? `${filterPath}/` : '';
+      const pathspecs = glob
+        ? [`:(glob)${base}${glob.includes('/') ? '' : '**/'}${glob}`]
+        : (filterPath ? [filterPath] : []);
+
+      const page = await repoBrowser.grepTree(req.repoPath, {
+        commit,
+        pattern: q,
+        regex,
+        ignoreCase: req.query.caseSensitive !== 'true',
+        pathspecs,
+        skip: start ? start.skip : 0,
+        limit,
+        timeout: SEARCH_TIMEOUT
+      });
+
+      const matches = context > 0
+        ? await repoBrowser.addMatchContext(req.repoPath, commit, page.matches, context, BLOB_INLINE_LIMIT)
+        : page.matches;
+
+      // Long lines (minified files, base64 blobs) are cut so a page stays small
+      const cut = line => ({ ...line, content: line.content.slice(0, MAX_SEARCH_LINE_LENGTH) });
+      result.matches = matches.map(({ before, after, ...match }) => ({
+        ...cut(match),
+        truncated: match.content.length > MAX_SEARCH_LINE_LENGTH,
+        ...(before ? { before: before.map(cut), after: after.map(cut) } : {})
+      }));
+      result.timedOut = page.timedOut;
+      result.nextCursor = page.hasMore ? encodeCursor({ commit, skip: page.consumed }) : null;
+    } else {
+      const mappings = mgitMappings.getMappings(req.repoPath).byGitHash;
+      const page = await repoBrowser.listCommits(req.repoPath, {
+        commit,
+        skip: start ? start.skip : 0,
+        limit,
+        path: filterPath || undefined,
+        regex,
+        timeout: SEARCH_TIMEOUT,
+        ...(type === 'commits' ? { query: q } : { changes: q })
+      });
+
+      result.commits = page.commits.map(entry => withMapping(entry, mappings.get(entry.hash)));
+      result.timedOut = page.timedOut;
+      result.nextCursor = page.hasMore ? encodeCursor({ commit, skip: page.consumed }) : null;
+    }
+
+    res.json(result);
+  } catch (err) {
+    if (err.invalidPattern) {
+      return res.status(400).json({ 
+        status: 'error', 
+        reason: 'Invalid search pattern', 
+        details: err.message 
+      });
+    }
+    console.error(`Error searching ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Search failed',
+      details: err.message
+    });
+  }
+});
+
+// Name of the generated manifest added to archives
+const ARCHIVE_MANIFEST_NAME = 'MGIT-MANIFEST.json';
+
+app.get('/api/mgit/repos/:repoId/archive/*', validateMGitToken, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const grantPath = req.user.path || null;
+
+  const requested = req.params[0] || '';
+  const extension = Object.keys(repoBrowser.ARCHIVE_FORMATS).find(ext => requested.endsWith(ext));
+  if (!extension || requested.length === extension.length) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `Archive must be requested as <ref>${Object.keys(repoBrowser.ARCHIVE_FORMATS).join(' or <ref>')}` 
+    });
+  }
+  const ref = requested.slice(0, -extension.length);
+
+  // Path-scoped grants only get an archive of their own path
+  const archivePath = req.query.path !== undefined ? repoBrowser.cleanTreePath(req.query.path) : (grantPath || '');
+  const prefix = req.query.prefix !== undefined
+    ? repoBrowser.cleanTreePath(req.query.prefix)
+    : `${repoId}-${ref.replace(/[^\w.-]+/g, '-')}`;
+  if (archivePath === null || prefix === null) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `Invalid ${archivePath === null ? 'path' : 'prefix'}` 
+    });
+  }
+  if (grantPath && !accessGrants.isPathAllowed(grantPath, archivePath)) {
+    return res.status(403).json({ 
+      status: 'error', 
+      reason: `Access is limited to ${grantPath}` 
+    });
+  }
+
+  try {
+    const commit = await repoBrowser.resolveCommit(req.repoPath, ref);
+    if (!commit) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Unknown ref: ${ref}` 
+      });
+    }
+
+    if (archivePath && !(await repoBrowser.getTree(req.repoPath, commit, archivePath))) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Path not found: ${archivePath}` 
+      });
+    }
+
+    // The manifest ties the archived history back to its MGit hashes and nostr authors
+    const mappings = mgitMappings.getMappings(req.repoPath).byGitHash;
+    const history = (await repoBrowser.listCommitIds(req.repoPath, commit, archivePath))
+      .filter(hash => mappings.has(hash))
+      .map(hash => ({
+        commit: hash,
+        mgitHash: mappings.get(hash).MGitHash,
+        nostrPubkey: mappings.get(hash).Pubkey
+      }));
+    const headMapping = mappings.get(commit);
+    const manifest = {
+      repoId,
+      ref,
+      commit,
+      mgitHash: headMapping ? headMapping.MGitHash : null,
+      nostrPubkey: headMapping ? headMapping.Pubkey : null,
+      path: archivePath || null,
+      commits: history
+    };
+
+    const fileName = `${prefix || repoId}${extension}`.replace(/\//g, '-');
+    res.setHeader('Content-Type', extension === '.zip' ? 'application/zip' : 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; ` +
+      `filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = repoBrowser.createArchiveStream(req.repoPath, commit, {
+      format: repoBrowser.ARCHIVE_FORMATS[extension],
+      prefix: prefix ? `${prefix}/` : '',
+      path: archivePath,
+      extraFiles: { [ARCHIVE_MANIFEST_NAME]: JSON.stringify(manifest, null, 2) }
+    });
+    stream.on('error', (err) => {
+      console.error(`Error streaming archive of ${ref} from ${repoId}:`, err.message);
+      res.destroy(err);
+    });
+    res.on('close', () => stream.destroy());
+    console.log(`Streaming ${extension} archive of ${ref} (${commit}) from ${repoId} for ${req.user.pubkey}`);
+    stream.pipe(res);
+  } catch (err) {
+    console.error(`Error creating archive of ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to create archive',
+      details: err.message
+    });
+  }
+});
+
+/*
+ * Branches and tags
+ */
+
+// Changing refs needs write access to the whole repository
+const requireWriteAccess = (req, res, next) => {
+  if (req.user.access !== 'admin' && req.user.access !== 'read-write') {
+    return res.status(403).json({ 
+      status: 'error', 
+      reason: 'Insufficient permissions to change repository refs' 
+    });
+  }
+  requireFullAccess(req, res, next);
+};
+
+/**
+ * Counts how far each ref's commit is ahead of and behind a base commit. The counts run
+ * one after another so a repository with many refs doesn't start a git process per ref at once.
+ * @param {string} repoPath - Path to the repository
+ * @param {string|null} base - Base commit hash, or null when there is no default branch
+ * @param {Array<Object>} refs - Entries from repoRefs.listBranches or listTags
+ * @returns {Promise<Array<Object>>} - { ahead, behind } per ref, null counts without a base or commit
+ */
+async function countAgainstBase(repoPath, base, refs) {
+  const counts = [];
+  for (const ref of refs) {
+    counts.push(base && ref.commit
+      ? await repoBrowser.countAheadBehind(repoPath, base, ref.commit.hash)
+      : { ahead: null, behind: null });
+  }
+  return counts;
+}
+
+app.get('/api/mgit/repos/:repoId/branches', validateMGitToken, requireFullAccess, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const repoConfig = repoConfigurations[repoId] || {};
+
+  try {
+    const defaultBranch = await repoRefs.getDefaultBranch(req.repoPath);
+    const branches = await repoRefs.listBranches(req.repoPath);
+    const base = branches.find(branch => branch.name === defaultBranch);
+    const counts = await countAgainstBase(req.repoPath, base ? base.commit.hash : null, branches);
+
+    const result = branches.map((branch, index) => ({
+      ...branch,
+      isDefault: branch.name === defaultBranch,
+      protected: pushPolicy.isProtectedBranch(repoConfig, branch.name),
+      adminOnly: pushPolicy.isAdminBranch(repoConfig, branch.name),
+      aheadBy: counts[index].ahead,
+      behindBy: counts[index].behind
+    }));
+
+    res.json({
+      status: 'OK',
+      repoId,
+      defaultBranch,
+      branches: result
+    });
+  } catch (err) {
+    console.error(`Error listing branches for ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to list branches',
+      details: err.message
+    });
+  }
+});
+
+app.post('/api/mgit/repos/:repoId/branches', validateMGitToken, requireWriteAccess, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const { name, from } = req.body;
+  const repoConfig = repoConfigurations[repoId] || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Branch name must be a non-empty string' 
+    });
+  }
+
+  if (from !== undefined && (typeof from !== 'string' || !from.trim())) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Start point must be a non-empty string' 
+    });
+  }
+
+  if (!(await repoRefs.isValidRefName(req.repoPath, `refs/heads/${name}`))) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Invalid branch name' 
+    });
+  }
+
+  // The same rules that apply to pushes apply to branches made through the API
+  if (pushPolicy.isAdminBranch(repoConfig, name) && req.user.access !== 'admin') {
+    return res.status(403).json({ 
+      status: 'error', 
+      reason: `Only admins may create branch ${name}` 
+    });
+  }
+
+  try {
+    const startPoint = from || await repoRefs.getDefaultBranch(req.repoPath) || 'HEAD';
+    const commit = await repoBrowser.resolveCommit(req.repoPath, startPoint);
+    if (!commit) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Unknown ref: ${startPoint}` 
+      });
+    }
+
+    if (!(await repoRefs.createRef(req.repoPath, `refs/heads/${name}`, commit, `branch: Created from ${startPoint}`))) {
+      return res.status(409).json({ 
+        status: 'error', 
+        reason: `Branch ${name} already exists` 
+      });
+    }
+
+    repoOverview.invalidate(repoId);
+    console.log(`Created branch ${name} at ${commit} in repo ${repoId} for ${req.user.pubkey}`);
+    res.status(201).json({ 
+      status: 'OK', 
+      name, 
+      commit 
+    });
+  } catch (err) {
+    console.error(`Error creating branch in ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to create branch',
+      details: err.message
+    });
+  }
+});
+
+app.delete('/api/mgit/repos/:repoId/branches/*', validateMGitToken, requireWriteAccess, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const name = req.params[0];
+  const repoConfig = repoConfigurations[repoId] || {};
+
+  try {
+    const commit = await repoRefs.readRef(req.repoPath, `refs/heads/${name}`);
+    if (!commit) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Branch ${name} not found` 
+      });
+    }
+
+    if (name === await repoRefs.getDefaultBranch(req.repoPath)) {
+      return res.status(409).json({ 
+        status: 'error', 
+        reason: 'The default branch cannot be deleted' 
+      });
+    }
+
+    if (pushPolicy.isProtectedBranch(repoConfig, name)) {
+      return res.status(403).json({ 
+        status: 'error', 
+        reason: `Protected branch ${name} cannot be deleted` 
+      });
+    }
+
+    if (pushPolicy.isAdminBranch(repoConfig, name) && req.user.access !== 'admin') {
+      return res.status(403).json({ 
+        status: 'error', 
+        reason: `Only admins may delete branch ${name}` 
+      });
+    }
+
+    await repoRefs.deleteRef(req.repoPath, `refs/heads/${name}`, commit);
+
+    repoOverview.invalidate(repoId);
+    console.log(`Deleted branch ${name} (was ${commit}) in repo ${repoId} for ${req.user.pubkey}`);
+    res.json({ 
+      status: 'OK', 
+      name, 
+      commit 
+    });
+  } catch (err) {
+    console.error(`Error deleting branch in ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to delete branch',
+      details: err.message
+    });
+  }
+});
+
+app.get('/api/mgit/repos/:repoId/tags', validateMGitToken, requireFullAccess, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const repoConfig = repoConfigurations[repoId] || {};
+
+  try {
+    const defaultBranch = await repoRefs.getDefaultBranch(req.repoPath);
+    const base = defaultBranch ? await repoRefs.readRef(req.repoPath, `refs/heads/${defaultBranch}`) : null;
+    const tags = await repoRefs.listTags(req.repoPath);
+    const counts = await countAgainstBase(req.repoPath, base, tags);
+
+    res.json({
+      status: 'OK',
+      repoId,
+      defaultBranch,
+      tags: tags.map((tag, index) => ({
+        ...tag,
+        protected: pushPolicy.isProtectedTag(repoConfig, tag.name),
+        aheadBy: counts[index].ahead,
+        behindBy: counts[index].behind
+      }))
+    });
+  } catch (err) {
+    console.error(`Error listing tags for ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to list tags',
+      details: err.message
+    });
+  }
+});
+
+app.post('/api/mgit/repos/:repoId/tags', validateMGitToken, requireWriteAccess, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const { name, ref, message } = req.body;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Tag name must be a non-empty string' 
+    });
+  }
+
+  if (ref !== undefined && (typeof ref !== 'string' || !ref.trim())) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Tag target must be a non-empty string' 
+    });
+  }
+
+  if (!(await repoRefs.isValidRefName(req.repoPath, `refs/tags/${name}`))) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Invalid tag name' 
+    });
+  }
+
+  if (message !== undefined && (typeof message !== 'string' || !message.trim())) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Tag message must be a non-empty string' 
+    });
+  }
+
+  try {
+    const target = ref || await repoRefs.getDefaultBranch(req.repoPath) || 'HEAD';
+    const commit = await repoBrowser.resolveCommit(req.repoPath, target);
+    if (!commit) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Unknown ref: ${target}` 
+      });
+    }
+
+    // Annotated tags record the tagging key as the tagger
+    const npub = hexToBech32(req.user.pubkey);
+    const created = message
+      ? await repoRefs.createAnnotatedTag(req.repoPath, name, commit, message, { name: npub, email: npub })
+      : await repoRefs.createRef(req.repoPath, `refs/tags/${name}`, commit, `tag: ${name}`);
+
+    if (!created) {
+      return res.status(409).json({ 
+        status: 'error', 
+        reason: `Tag ${name} already exists` 
+      });
+    }
+
+    repoOverview.invalidate(repoId);
+    console.log(`Created tag ${name} at ${commit} in repo ${repoId} for ${req.user.pubkey}`);
+    res.status(201).json({ 
+      status: 'OK', 
+      name, 
+      commit,
+      annotated: !!message
+    });
+  } catch (err) {
+    console.error(`Error creating tag in ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to create tag',
+      details: err.message
+    });
+  }
+});
+
+app.delete('/api/mgit/repos/:repoId/tags/*', validateMGitToken, requireWriteAccess, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const name = req.params[0];
+  const repoConfig = repoConfigurations[repoId] || {};
+
+  try {
+    const sha = await repoRefs.readRef(req.repoPath, `refs/tags/${name}`);
+    if (!sha) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Tag ${name} not found` 
+      });
+    }
+
+    if (pushPolicy.isProtectedTag(repoConfig, name)) {
+      return res.status(403).json({ 
+        status: 'error', 
+        reason: `Protected tag ${name} cannot be deleted` 
+      });
+    }
+
+    await repoRefs.deleteRef(req.repoPath, `refs/tags/${name}`, sha);
+
+    repoOverview.invalidate(repoId);
+    console.log(`Deleted tag ${name} (was ${sha}) in repo ${repoId} for ${req.user.pubkey}`);
+    res.json({ 
+      status: 'OK', 
+      name 
+    });
+  } catch (err) {
+    console.error(`Error deleting tag in ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to delete tag',
+      details: err.message
+    });
+  }
+});
+
+/*
+ * MGit mappings uploaded ahead of a push, and commit attestations
+ */
+
+// Most mapping entries accepted in one upload, which keeps a batch within the JSON body limit,
+// and most a pusher may have waiting for their next push
+const MAX_CLIENT_MAPPINGS = 100;
+const MAX_PENDING_MAPPINGS = 10000;
+
+// How long uploaded mappings wait for the push they belong to, in milliseconds (15 min)
+const PENDING_MAPPINGS_TTL = 15 * 60 * 1000;
+
+// "repoId pubkey" -> { entries, timestamp } with entries a Map of GitHash to uploaded entry
+const pendingMappings = new Map();
+
+// Drop uploads whose push never came
+const sweepPendingMappings = setInterval(() => {
+  const now = Date.now();
+  for (const [key, pending] of pendingMappings) {
+    if (now - pending.timestamp > PENDING_MAPPINGS_TTL) {
+      pendingMappings.delete(key);
+    }
+  }
+}, 60 * 1000);
+sweepPendingMappings.unref();
+
+// Mapping entries a pusher uploaded and that have not expired yet
+function getPendingMappings(repoId, pubkey) {
+  const pending = pendingMappings.get(`${repoId} ${pubkey}`);
+  return pending && Date.now() - pending.timestamp <= PENDING_MAPPINGS_TTL ? pending.entries : new Map();
+}
+
+// Checks uploaded { GitHash, MGitHash, Attestation? } entries. Returns null if one is malformed
+// or carries an attestation that does not check out.
+function parseClientMappings(data) {
+  const entries = data.map(mgitMappings.normalizeEntry);
+  const valid = entries.every(entry => entry &&
+    /^[0-9a-f]{40}([0-9a-f]{24})?$/.test(entry.GitHash) && /^[0-9a-f]{40,64}$/i.test(entry.MGitHash || '') &&
+    (!entry.Attestation || !commitAttestation.checkAttestation(entry.Attestation, entry.GitHash, entry.MGitHash)));
+  return valid ? entries : null;
+}
+
+// Uploads mapping entries for commits the caller is about to push. git has no way to send them
+// along with the pack, so they wait for the caller's next successful push to the repository.
+app.post('/api/mgit/repos/:repoId/mappings', validateMGitToken, requireWriteAccess, requireRepository, (req, res) => {
+  const { repoId } = req.params;
+  const { mappings } = req.body || {};
+
+  if (!Array.isArray(mappings) || mappings.length === 0 || mappings.length > MAX_CLIENT_MAPPINGS) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `mappings must be an array of 1 to ${MAX_CLIENT_MAPPINGS} entries` 
+    });
+  }
+
+  const entries = parseClientMappings(mappings);
+  if (!entries) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: 'Invalid mapping entry' 
+    });
+  }
+
+  // Larger pushes upload their entries in several batches
+  const pending = new Map(getPendingMappings(repoId, req.user.pubkey));
+  entries.forEach(entry => pending.set(entry.GitHash, entry));
+  if (pending.size > MAX_PENDING_MAPPINGS) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `At most ${MAX_PENDING_MAPPINGS} mapping entries can wait for a push` 
+    });
+  }
+
+  pendingMappings.set(`${repoId} ${req.user.pubkey}`, { entries: pending, timestamp: Date.now() });
+  res.json({ 
+    status: 'OK', 
+    pending: pending.size, 
+    expiresIn: PENDING_MAPPINGS_TTL / 1000 
+  });
+});
+
+// Most commits a branch audit lists individually, and attestations accepted in one request
+// (like mapping uploads, few enough to stay within the JSON body limit)
+const MAX_VERIFY_REPORTED = 1000;
+const MAX_ATTESTATIONS = MAX_CLIENT_MAPPINGS;
+
+// Audits every commit reachable from a ref, listing those without a valid attestation
+app.get('/api/mgit/repos/:repoId/verify/*', validateMGitToken, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const ref = req.params[0];
+  const grantPath = req.user.path || null;
+
+  try {
+    const commit = await repoBrowser.resolveCommit(req.repoPath, ref);
+    if (!commit) {
+      return res.status(404).json({ 
+        status: 'error', 
+        reason: `Unknown ref: ${ref}` 
+      });
+    }
+
+    // Path-scoped grants audit the history of their own path
+    const hashes = await repoBrowser.listCommitIds(req.repoPath, commit, grantPath);
+    const mappings = mgitMappings.getMappings(req.repoPath).byGitHash;
+
+    const counts = { verified: 0, unverified: 0, invalid: 0 };
+    const commits = [];
+    hashes.forEach((hash) => {
+      const mapping = mappings.get(hash) || null;
+      const verification = commitAttestation.verifyCommit(hash, mapping);
+      counts[verification.status]++;
+      if (verification.status !== 'verified' && commits.length < MAX_VERIFY_REPORTED) {
+        commits.push({
+          hash,
+          mgitHash: mapping ? mapping.MGitHash : null,
+          nostrPubkey: mapping ? mapping.Pubkey : null,
+          status: verification.status,
+          reason: verification.reason
+        });
+      }
+    });
+
+    res.json({
+      status: 'OK',
+      repoId,
+      ref,
+      commit,
+      total: hashes.length,
+      counts,
+      verified: counts.verified === hashes.length,
+      commits,
+      truncated: counts.unverified + counts.invalid > commits.length
+    });
+  } catch (err) {
+    console.error(`Error verifying ${req.params[0]} in ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to verify commits',
+      details: err.message
+    });
+  }
+});
+
+// Stores attestations for commits that are already mapped. Each one has to verify against the
+// mapping it is attached to, so it can only vouch for the key the commit is attributed to.
+app.post('/api/mgit/repos/:repoId/attestations', validateMGitToken, requireWriteAccess, requireRepository, async (req, res) => {
+  const { repoId } = req.params;
+  const { attestations } = req.body || {};
+
+  if (!Array.isArray(attestations) || attestations.length === 0 || attestations.length > MAX_ATTESTATIONS) {
+    return res.status(400).json({ 
+      status: 'error', 
+      reason: `attestations must be an array of 1 to ${MAX_ATTESTATIONS} events` 
+    });
+  }
+
+  try {
+    const accepted = new Map();
+    const rejected = [];
+    attestations.forEach((event) => {
+      const tag = event && Array.isArray(event.tags) ? event.tags.find(entry => Array.isArray(entry) && entry[0] === 'commit') : null;
+      const hash = tag && typeof tag[1] === 'string' ? tag[1].toLowerCase() : null;
+      const mapping = hash && /^[0-9a-f]{40}([0-9a-f]{24})?$/.test(hash) ? mgitMappings.getMappings(req.repoPath).byGitHash.get(hash) : null;
+      if (!mapping) {
+        rejected.push({ commit: hash, reason: hash ? 'No MGit mapping for this commit' : 'Attestation does not name a commit' });
+        return;
+      }
+
+      const verification = commitAttestation.verifyCommit(hash, { ...mapping, Attestation: event });
+      if (verification.status === 'verified') {
+        accepted.set(hash, event);
+      } else {
+        rejected.push({ commit: hash, reason: verification.reason });
+      }
+    });
+
+    const stored = accepted.size > 0 ? await mgitMappings.attachAttestations(req.repoPath, accepted) : 0;
+    if (stored > 0) {
+      console.log(`Stored ${stored} commit attestations in ${repoId} for ${req.user.pubkey}`);
+    }
+    res.json({ 
+      status: 'OK', 
+      stored, 
+      rejected 
+    });
+  } catch (err) {
+    console.error(`Error storing attestations in ${repoId}:`, err.message);
+    res.status(500).json({ 
+      status: 'error', 
+      reason: 'Failed to store attestations',
+      details: err.message
+    });
+  }
+});
+
 // helper fns moved to mgitUtils
 
 // Express static file serving for the React frontend ONLY
@@ -0,0 +1,123 @@
+// spdxLicense.js - Identifies license files by SPDX identifier
+//
+// Matching is done on normalized text (lowercase, punctuation and line breaks
+// collapsed), so reformatted or re-wrapped license files are still recognised.
+
+// Checked in order; the first license whose phrases all appear wins. Titles are only
+// looked for near the start, since e.g. the GPL mentions the LGPL in its closing section.
+const LICENSES = [
+  { spdxId: 'AGPL-3.0-only', name: 'GNU Affero General Public License v3.0', title: 'gnu affero general public license version 3' },
+  { spdxId: 'LGPL-3.0-only', name: 'GNU Lesser General Public License v3.0', title: 'gnu lesser general public license version 3' },
+  { spdxId: 'LGPL-2.1-only', name: 'GNU Lesser General Public License v2.1', title: 'gnu lesser general public license version 2 1' },
+  { spdxId: 'GPL-3.0-only', name: 'GNU General Public License v3.0', title: 'gnu general public license version 3' },
+  { spdxId: 'GPL-2.0-only', name: 'GNU General Public License v2.0', title: 'gnu general public license version 2' },
+  { spdxId: 'Apache-2.0', name: 'Apache License 2.0', title: 'apache license version 2 0' },
+  { spdxId: 'MPL-2.0', name: 'Mozilla Public License 2.0', title: 'mozilla public license version 2 0' },
+  { spdxId: 'EPL-2.0', name: 'Eclipse Public License 2.0', title: 'eclipse public license v 2 0' },
+  { spdxId: 'BSL-1.0', name: 'Boost Software License 1.0', title: 'boost software license version 1 0' },
+  { spdxId: 'CC0-1.0', name: 'Creative Commons Zero v1.0 Universal', title: 'cc0 1 0 universal' },
+  { spdxId: 'CC-BY-NC-SA-4.0', name: 'Creative Commons Attribution NonCommercial ShareAlike 4.0', title: 'attribution noncommercial sharealike 4 0 international' },
+  { spdxId: 'CC-BY-NC-4.0', name: 'Creative Commons Attribution NonCommercial 4.0', title: 'attribution noncommercial 4 0 international' },
+  { spdxId: 'CC-BY-SA-4.0', name: 'Creative Commons Attribution ShareAlike 4.0', title: 'attribution sharealike 4 0 international' },
+  { spdxId: 'CC-BY-4.0', name: 'Creative Commons Attribution 4.0', title: 'attribution 4 0 international' },
+  {
+    spdxId: 'Unlicense',
+    name: 'The Unlicense',
+    phrases: ['this is free and unencumbered software released into the public domain']
+  },
+  {
+    spdxId: 'MIT',
+    name: 'MIT License',
+    phrases: [
+      'permission is hereby granted free of charge to any person obtaining a copy of this software',
+      'the above copyright notice and this permission notice shall be included in all copies'
+    ]
+  },
+  {
+    spdxId: 'ISC',
+    name: 'ISC License',
+    phrases: [
+      'permission to use copy modify and or distribute this software for any purpose with or without fee is hereby granted',
+      'provided that the above copyright notice and this permission notice appear in all copies'
+    ]
+  },
+  {
+    spdxId: '0BSD',
+    name: 'BSD Zero Clause License',
+    phrases: ['permission to use copy modify and or distribute this software for any purpose with or without fee is hereby granted']
+  },
+  {
+    spdxId: 'BSD-3-Clause',
+    name: 'BSD 3-Clause "New" or "Revised" License',
+    phrases: [
+      'redistribution and use in source and binary forms with or without modification are permitted',
+      'neither the name of'
+    ]
+  },
+  {
+    spdxId: 'BSD-2-Clause',
+    name: 'BSD 2-Clause "Simplified" License',
+    phrases: ['redistribution and use in source and binary forms with or without modification are permitted']
+  }
+];
+
+// How far into a license file its title is looked for
+const TITLE_WINDOW = 400;
+
+// File names treated as license files: LICENSE, COPYING.txt, LICENSE-MIT.md, ...
+const LICENSE_FILE_PATTERN = /^(licen[cs]e|copying|unlicense)(-[a-z0-9.]+)?(\.(md|markdown|txt|rst))?$/i;
+
+/**
+ * Lowercases text and collapses everything but letters and digits to single spaces
+ * @param {string} text - License text
+ * @returns {string} - Normalized text
+ */
+function normalize(text) {
+  return ` ${text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+/**
+ * Reads an SPDX-License-Identifier line, as used in headers and short license files
+ * @param {string} text - File content
+ * @returns {string|null} - License expression, e.g. "MIT OR Apache-2.0"
+ */
+function findSpdxIdentifier(text) {
+  const match = text.match(/SPDX-License-Identifier:\s*([A-Za-z0-9.+\-() ]+?)\s*(\*\/|-->|$)/m);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Identifies the license in a license file
+ * @param {string} text - License file content
+ * @returns {Object|null} - { spdxId, name, matchedBy } or null if the text is not a known license
+ */
+function identifyLicense(text) {
+  const identifier = findSpdxIdentifier(text);
+  if (identifier) {
+    const known = LICENSES.find(license => license.spdxId === identifier);
+    return { spdxId: identifier, name: known ? known.name : identifier, matchedBy: 'identifier' };
+  }
+
+  const normalized = normalize(text);
+  const head = normalized.slice(0, TITLE_WINDOW);
+
+  const license = LICENSES.find(candidate => (candidate.title
+    ? head.includes(` ${candidate.title} `)
+    : candidate.phrases.every(phrase => normalized.includes(` ${phrase} `))));
+
+  return license ? { spdxId: license.spdxId, name: license.name, matchedBy: 'text' } : null;
+}
+
+/**
+ * Checks whether a file name looks like a license file
+ * @param {string} name - File name
+ * @returns {boolean} - True for LICENSE, LICENSE.md, COPYING, ...
+ */
+function isLicenseFile(name) {
+  return LICENSE_FILE_PATTERN.test(name);
+}
+
+module.exports = {
+  identifyLicense,
+  isLicenseFile
+};
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generateSecretKey, getPublicKey, finalizeEvent, nip19 } = require('nostr-tools');
+const commitAttestation = require('../commitAttestation');
+
+const author = generateSecretKey();
+const gitHash = 'a'.repeat(40);
+const mgitHash = 'b'.repeat(64);
+const signed = finalizeEvent(commitAttestation.buildAttestation(gitHash, mgitHash), author);
+
+// Mappings are read from JSON, so each check gets a fresh event without nostr-tools' verified mark
+const attestation = () => JSON.parse(JSON.stringify(signed));
+
+test('a signed attestation verifies against the mapped key', () => {
+  const mapping = { GitHash: gitHash, MGitHash: mgitHash, Pubkey: nip19.npubEncode(getPublicKey(author)), Attestation: attestation() };
+  const first = commitAttestation.verifyCommit(gitHash, mapping);
+  assert.strictEqual(first.status, 'verified');
+  assert.strictEqual(first.signer, getPublicKey(author));
+
+  // Repeated checks come from the cache and give the same answer
+  assert.deepStrictEqual(commitAttestation.verifyCommit(gitHash, { ...mapping, Attestation: attestation() }), first);
+});
+
+test('cached results still depend on the mapping and signature', () => {
+  const mapping = { GitHash: gitHash, MGitHash: mgitHash, Pubkey: getPublicKey(author), Attestation: attestation() };
+  assert.strictEqual(commitAttestation.verifyCommit(gitHash, mapping).status, 'verified');
+
+  const otherKey = { ...mapping, Pubkey: getPublicKey(generateSecretKey()) };
+  assert.strictEqual(commitAttestation.verifyCommit(gitHash, otherKey).status, 'invalid');
+
+  const forged = { ...mapping, Attestation: { ...attestation(), sig: '0'.repeat(128) } };
+  assert.strictEqual(commitAttestation.verifyCommit(gitHash, forged).status, 'invalid');
+
+  assert.strictEqual(commitAttestation.verifyCommit('c'.repeat(40), mapping).status, 'invalid');
+});
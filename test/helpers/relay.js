@@ -0,0 +1,60 @@
+// relay.js - Minimal in-process nostr relay stand-in for tests
+//
+// Answers REQ with the stored events matching the filter's kinds and authors, then EOSE,
+// and stores every EVENT it receives, answering with OK (or a rejection when `reject` is set,
+// or nothing at all when `silent` is).
+const { WebSocketServer } = require('ws');
+
+/**
+ * Starts a relay on a free local port
+ * @param {Object} options - Relay options
+ * @param {Array<Object>} options.events - Events served to subscriptions
+ * @param {boolean} options.reject - Answer every EVENT with OK false
+ * @param {boolean} options.silent - Never answer an EVENT
+ * @returns {Promise<Object>} - { url, events, received, close }
+ */
+function startRelay({ events = [], reject = false, silent = false } = {}) {
+  const received = [];
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+
+  wss.on('connection', (ws) => {
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      received.push(message);
+
+      if (message[0] === 'REQ') {
+        const [, subscription, filter] = message;
+        events
+          .filter(event => (!filter.kinds || filter.kinds.includes(event.kind)) &&
+            (!filter.authors || filter.authors.includes(event.pubkey)))
+          .forEach(event => ws.send(JSON.stringify(['EVENT', subscription, event])));
+        ws.send(JSON.stringify(['EOSE', subscription]));
+      } else if (message[0] === 'EVENT') {
+        const event = message[1];
+        if (silent) {
+          return;
+        }
+        if (!reject) {
+          events.push(event);
+        }
+        ws.send(JSON.stringify(['OK', event.id, !reject, reject ? 'blocked: test relay' : '']));
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    wss.on('listening', () => {
+      resolve({
+        url: `ws://127.0.0.1:${wss.address().port}`,
+        events,
+        received,
+        close: () => new Promise((done) => {
+          wss.clients.forEach(client => client.terminate());
+          wss.close(done);
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startRelay };
@@ -0,0 +1,152 @@
+// server.js - Runs the MGit server in a child process for route tests
+//
+// Each server gets its own temporary directory holding the repository configuration, the
+// revocation file and the repositories, and listens on a free local port.
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { finalizeEvent } = require('nostr-tools');
+
+/**
+ * Finds a local port nothing is listening on
+ * @returns {Promise<number>} - Port number
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts a server
+ * @param {Object} options - Server options
+ * @param {Object} options.config - Repository configurations keyed by repoId
+ * @returns {Promise<Object>} - { url, reposPath, request, close }
+ */
+async function startServer({ config }) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mgit-server-'));
+  const reposPath = path.join(dir, 'repos');
+  fs.mkdirSync(reposPath);
+  fs.writeFileSync(path.join(dir, 'repo-config.json'), JSON.stringify(config));
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      JWT_SECRET: 'test-secret',
+      REPO_CONFIG_PATH: path.join(dir, 'repo-config.json'),
+      REPOS_PATH: reposPath,
+      PUBLIC_URL: `http://127.0.0.1:${port}`
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let log = '';
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (data) => {
+      log += data;
+      if (log.includes('Server running')) {
+        resolve();
+      }
+    });
+    child.stderr.on('data', (data) => { log += data; });
+    child.on('exit', code => reject(new Error(`Server exited with code ${code}:\n${log}`)));
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  return {
+    url,
+    reposPath,
+
+    /**
+     * Sends a JSON request
+     * @param {string} method - HTTP method
+     * @param {string} route - Path below the server URL
+     * @param {Object} options - { token, body, headers }
+     * @returns {Promise<Object>} - { status, data }
+     */
+    async request(method, route, { token, body, headers = {} } = {}) {
+      const response = await fetch(url + route, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      let data = text;
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        // Not JSON, e.g. git protocol output
+      }
+      return { status: response.status, data };
+    },
+
+    close() {
+      return new Promise((resolve) => {
+        child.removeAllListeners('exit');
+        child.on('exit', () => {
+          fs.rmSync(dir, { recursive: true, force: true });
+          resolve();
+        });
+        child.kill();
+      });
+    }
+  };
+}
+
+/**
+ * Logs a key in to a repository through the MGit challenge flow
+ * @param {Object} server - Server from startServer
+ * @param {Uint8Array} secretKey - Key to sign the challenge with
+ * @param {string} repoId - Repository ID
+ * @param {string} shareToken - Optional share link token to redeem
+ * @returns {Promise<Object>} - Response of /api/mgit/auth/verify
+ */
+async function login(server, secretKey, repoId, shareToken) {
+  const { data } = await server.request('POST', '/api/mgit/auth/challenge', { body: { repoId } });
+  const signedEvent = finalizeEvent({
+    kind: 22242,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [],
+    content: `MGit auth challenge: ${data.challenge}`
+  }, secretKey);
+  return server.request('POST', '/api/mgit/auth/verify', {
+    body: { signedEvent, challenge: data.challenge, repoId, shareToken }
+  });
+}
+
+/**
+ * Creates a bare repository whose main branch has one commit per set of file changes
+ * @param {string} repoPath - Path of the new repository
+ * @param {Array<Object>} commits - For each commit, file contents keyed by path
+ */
+function createRepository(repoPath, commits) {
+  const work = `${repoPath}.work`;
+  const git = args => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.org', ...args], { cwd: work });
+  fs.mkdirSync(work);
+  git(['init', '-q', '-b', 'main']);
+  commits.forEach((files, index) => {
+    Object.entries(files).forEach(([file, content]) => {
+      fs.mkdirSync(path.join(work, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(work, file), content);
+    });
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', `Records update ${index + 1}`]);
+  });
+  execFileSync('git', ['clone', '-q', '--bare', work, repoPath]);
+  fs.rmSync(work, { recursive: true, force: true });
+}
+
+module.exports = { startServer, login, createRepository };
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const nip05 = require('../nip05');
+
+test('parseIdentifier accepts name@domain and bare domains', () => {
+  assert.deepStrictEqual(nip05.parseIdentifier('DrSmith@Clinic.org'), { name: 'drsmith', domain: 'clinic.org' });
+  assert.deepStrictEqual(nip05.parseIdentifier('clinic.org'), { name: '_', domain: 'clinic.org' });
+  assert.strictEqual(nip05.parseIdentifier('a@b@clinic.org'), null);
+  assert.strictEqual(nip05.parseIdentifier('drsmith@localhost'), null);
+});
+
+test('isInternalAddress refuses private, loopback and link-local addresses', () => {
+  ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1'].forEach((address) => {
+    assert.ok(nip05.isInternalAddress(address), address);
+  });
+  ['93.184.216.34', '1.1.1.1', '2606:4700:4700::1111'].forEach((address) => {
+    assert.ok(!nip05.isInternalAddress(address), address);
+  });
+});
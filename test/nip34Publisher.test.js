@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generateSecretKey, getPublicKey, verifyEvent } = require('nostr-tools');
+const nip34Publisher = require('../nip34Publisher');
+const { startRelay } = require('./helpers/relay');
+
+const secretKey = () => Buffer.from(generateSecretKey()).toString('hex');
+
+const repository = (maintainer) => ({
+  repoId: 'records',
+  description: 'Patient records',
+  cloneUrls: ['https://mgit.example/api/mgit/repos/records'],
+  rootCommit: 'a'.repeat(40),
+  maintainers: [maintainer],
+  refs: new Map([
+    ['refs/heads/main', 'b'.repeat(40)],
+    ['refs/tags/v1.0', 'c'.repeat(40)],
+    // Only branches and tags are published
+    ['refs/notes/commits', 'd'.repeat(40)]
+  ]),
+  defaultBranch: 'main'
+});
+
+test('publishRepository sends a signed announcement and state to every relay', async () => {
+  const maintainer = getPublicKey(generateSecretKey());
+  const relays = [await startRelay(), await startRelay()];
+  try {
+    const publisher = nip34Publisher.createPublisher({ secretKey: secretKey(), relays: relays.map(relay => relay.url), timeout: 2000 });
+    const published = await publisher.publishRepository(repository(maintainer));
+
+    published.forEach(({ results }) => assert.ok(results.every(result => result.accepted)));
+    for (const relay of relays) {
+      const [announcement, state] = relay.events;
+      assert.ok(verifyEvent(announcement) && verifyEvent(state));
+      assert.strictEqual(announcement.pubkey, publisher.pubkey);
+
+      assert.strictEqual(announcement.kind, nip34Publisher.REPOSITORY_ANNOUNCEMENT_KIND);
+      assert.deepStrictEqual(announcement.tags, [
+        ['d', 'records'],
+        ['name', 'records'],
+        ['description', 'Patient records'],
+        ['clone', 'https://mgit.example/api/mgit/repos/records'],
+        ['relays', ...relays.map(entry => entry.url)],
+        ['r', 'a'.repeat(40), 'euc'],
+        ['maintainers', maintainer]
+      ]);
+
+      assert.strictEqual(state.kind, nip34Publisher.REPOSITORY_STATE_KIND);
+      assert.deepStrictEqual(state.tags, [
+        ['d', 'records'],
+        ['refs/heads/main', 'b'.repeat(40)],
+        ['refs/tags/v1.0', 'c'.repeat(40)],
+        ['HEAD', 'ref: refs/heads/main']
+      ]);
+    }
+  } finally {
+    await Promise.all(relays.map(relay => relay.close()));
+  }
+});
+
+test('successive publishes replace each other even within the same second', async () => {
+  const relay = await startRelay();
+  try {
+    const publisher = nip34Publisher.createPublisher({ secretKey: secretKey(), relays: [relay.url], timeout: 2000 });
+    await publisher.publishRepository(repository(publisher.pubkey));
+    await publisher.publishRepository(repository(publisher.pubkey));
+
+    const states = relay.events.filter(event => event.kind === nip34Publisher.REPOSITORY_STATE_KIND);
+    assert.ok(states[1].created_at > states[0].created_at);
+  } finally {
+    await relay.close();
+  }
+});
+
+test('relays that reject, fail or never answer are reported, not thrown', async () => {
+  const rejecting = await startRelay({ reject: true });
+  const silent = await startRelay({ silent: true });
+  try {
+    const publisher = nip34Publisher.createPublisher({
+      secretKey: secretKey(),
+      relays: [rejecting.url, silent.url, 'ws://127.0.0.1:1'],
+      timeout: 500
+    });
+    const published = await publisher.publishRepository(repository(publisher.pubkey));
+
+    assert.strictEqual(published.length, 2);
+    published.forEach(({ results }) => {
+      assert.ok(results.every(result => !result.accepted));
+      assert.strictEqual(results[0].message, 'blocked: test relay');
+      assert.strictEqual(results[1].message, 'timed out');
+      assert.ok(results[2].message);
+    });
+    assert.strictEqual(rejecting.events.length, 0);
+  } finally {
+    await Promise.all([rejecting.close(), silent.close()]);
+  }
+});
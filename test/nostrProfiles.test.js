@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools');
+const nostrProfiles = require('../nostrProfiles');
+const { startRelay } = require('./helpers/relay');
+
+const profile = (secretKey, createdAt, name) => finalizeEvent({
+  kind: 0,
+  created_at: createdAt,
+  tags: [],
+  content: JSON.stringify({ name })
+}, secretKey);
+
+test('parseRelayList falls back to the default relays', () => {
+  assert.deepStrictEqual(nostrProfiles.parseRelayList(''), nostrProfiles.DEFAULT_RELAYS);
+  assert.deepStrictEqual(nostrProfiles.parseRelayList(' ws://a , ws://b '), ['ws://a', 'ws://b']);
+});
+
+test('profile store keeps the newest valid profile across relays', async () => {
+  const secretKey = generateSecretKey();
+  const pubkey = getPublicKey(secretKey);
+  const older = profile(secretKey, 1000, 'old');
+  const newer = profile(secretKey, 2000, 'new');
+  // A newer event with a broken signature must not win
+  const forged = { ...profile(secretKey, 3000, 'forged'), sig: '0'.repeat(128) };
+
+  const relays = [await startRelay({ events: [older] }), await startRelay({ events: [newer, forged] })];
+  try {
+    const store = nostrProfiles.createProfileStore({ relays: relays.map(relay => relay.url), timeout: 2000 });
+    const event = await store.get(pubkey);
+    assert.strictEqual(nostrProfiles.profileName(event), 'new');
+
+    // Served from the cache without asking the relays again
+    const queries = relays.map(relay => relay.received.length);
+    assert.strictEqual(store.getCached(pubkey).id, newer.id);
+    assert.deepStrictEqual(relays.map(relay => relay.received.length), queries);
+  } finally {
+    await Promise.all(relays.map(relay => relay.close()));
+  }
+});
+
+test('profile store answers null when no relay has a profile', async () => {
+  const relay = await startRelay();
+  try {
+    const store = nostrProfiles.createProfileStore({ relays: [relay.url, 'ws://127.0.0.1:1'], timeout: 2000 });
+    assert.strictEqual(await store.get(getPublicKey(generateSecretKey())), null);
+  } finally {
+    await relay.close();
+  }
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { generateSecretKey, getPublicKey, finalizeEvent, nip19 } = require('nostr-tools');
+const { startServer, login, createRepository } = require('./helpers/server');
+
+const admin = generateSecretKey();
+const doctor = generateSecretKey();
+let server;
+let adminToken;
+
+before(async () => {
+  server = await startServer({
+    config: { records: { authorized_keys: [{ pubkey: nip19.npubEncode(getPublicKey(admin)), access: 'admin' }] } }
+  });
+  createRepository(path.join(server.reposPath, 'records'), [{
+    'README.md': '# Clinic records\n',
+    'labs/2024.json': '{"result":"ok"}\n',
+    'notes/private.md': 'secret\n'
+  }, {
+    'notes/private.md': 'more secrets\n'
+  }]);
+  execFileSync('git', ['tag', 'notes-change', 'main'], { cwd: path.join(server.reposPath, 'records') });
+  adminToken = (await login(server, admin, 'records')).data.token;
+});
+
+after(() => server.close());
+
+test('a path grant only sees its own path in the repository overview', async () => {
+  const full = await server.request('GET', '/api/mgit/repos/records/info', { token: adminToken });
+  assert.strictEqual(full.data.defaultBranch, 'main');
+  assert.strictEqual(full.data.description, 'Clinic records');
+
+  const grant = await server.request('POST', '/api/mgit/repos/records/grants', {
+    token: adminToken,
+    body: { access: 'read-only', expiresIn: 3600, path: 'labs' }
+  });
+  assert.strictEqual(grant.status, 201);
+  const scoped = await login(server, doctor, 'records', grant.data.shareToken);
+  assert.strictEqual(scoped.data.path, 'labs');
+  const token = scoped.data.token;
+
+  const info = await server.request('GET', '/api/mgit/repos/records/info', { token });
+  assert.strictEqual(info.status, 200);
+  for (const field of ['description', 'defaultBranch', 'headCommit', 'counts', 'createdAt', 'updatedAt', 'readme']) {
+    assert.strictEqual(info.data[field], null, field);
+  }
+
+  assert.strictEqual((await server.request('GET', '/api/mgit/repos/records/branches', { token })).status, 403);
+  assert.strictEqual((await server.request('GET', '/api/mgit/repos/records/tags', { token })).status, 403);
+  assert.strictEqual((await server.request('GET', '/api/mgit/repos/records/tree/main/notes', { token })).status, 403);
+  assert.strictEqual((await server.request('GET', '/api/mgit/repos/records/tree/main/labs', { token })).status, 200);
+
+  // Commits outside the path are unknown to the grant, and compare only counts those inside it
+  const outside = await server.request('GET', '/api/mgit/repos/records/commits/notes-change', { token: adminToken });
+  assert.strictEqual(outside.status, 200);
+  assert.strictEqual((await server.request('GET', '/api/mgit/repos/records/commits/notes-change', { token })).status, 404);
+  assert.strictEqual((await server.request('GET', '/api/mgit/repos/records/commits/main~1', { token })).status, 200);
+
+  const compared = await server.request('GET', '/api/mgit/repos/records/compare/main~1...main', { token });
+  assert.strictEqual(compared.status, 200);
+  assert.strictEqual(compared.data.aheadBy, 0);
+  assert.deepStrictEqual(compared.data.commits, []);
+  assert.strictEqual((await server.request('GET', '/api/mgit/repos/records/compare/main~1...main', { token: adminToken })).data.aheadBy, 1);
+
+  // Revoking the grant ends the token straight away
+  const revoked = await server.request('DELETE', `/api/mgit/repos/records/grants/${grant.data.grant.id}`, { token: adminToken });
+  assert.strictEqual(revoked.status, 200);
+  assert.strictEqual((await server.request('GET', '/api/mgit/repos/records/tree/main/labs', { token })).status, 401);
+});
+
+test('NIP-98 requests are accepted once', async () => {
+  const route = '/api/mgit/repos/records/info';
+  const event = finalizeEvent({
+    kind: 27235,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['u', server.url + route], ['method', 'GET']],
+    content: ''
+  }, admin);
+  const headers = { Authorization: `Nostr ${Buffer.from(JSON.stringify(event)).toString('base64')}` };
+
+  const first = await server.request('GET', route, { headers });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.data.access, 'admin');
+  assert.strictEqual((await server.request('GET', route, { headers })).status, 401);
+
+  // Signed by a key the repository does not know
+  const stranger = finalizeEvent({ ...event, created_at: event.created_at }, generateSecretKey());
+  const strangerHeaders = { Authorization: `Nostr ${Buffer.from(JSON.stringify(stranger)).toString('base64')}` };
+  assert.strictEqual((await server.request('GET', route, { headers: strangerHeaders })).status, 403);
+});
@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { generateSecretKey, getPublicKey, nip19 } = require('nostr-tools');
+const { startServer, login, createRepository } = require('./helpers/server');
+
+const admin = generateSecretKey();
+let server;
+let token;
+
+before(async () => {
+  server = await startServer({
+    config: {
+      records: {
+        authorized_keys: [{ pubkey: nip19.npubEncode(getPublicKey(admin)), access: 'admin' }],
+        protected_tags: ['v*']
+      }
+    }
+  });
+  const repoPath = path.join(server.reposPath, 'records');
+  createRepository(repoPath, [{ 'README.md': '# Records\n' }, { 'labs/2024.json': '{}\n' }]);
+  const git = args => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.org', ...args], { cwd: repoPath });
+  git(['tag', '-a', 'v1.0', '-m', 'First release', 'main~1']);
+  git(['tag', 'snapshot', 'main']);
+  git(['tag', 'readme-tree', 'main^{tree}']);
+  git(['branch', 'draft', 'main~1']);
+  token = (await login(server, admin, 'records')).data.token;
+});
+
+after(() => server.close());
+
+test('tags carry their commit, protection and counts against the default branch', async () => {
+  const res = await server.request('GET', '/api/mgit/repos/records/tags', { token });
+  assert.strictEqual(res.status, 200);
+  const tags = Object.fromEntries(res.data.tags.map(tag => [tag.name, tag]));
+
+  assert.strictEqual(tags['v1.0'].annotated, true);
+  assert.strictEqual(tags['v1.0'].message, 'First release');
+  assert.strictEqual(tags['v1.0'].commit.subject, 'Records update 1');
+  assert.strictEqual(tags['v1.0'].protected, true);
+  assert.strictEqual(tags['v1.0'].aheadBy, 0);
+  assert.strictEqual(tags['v1.0'].behindBy, 1);
+
+  assert.strictEqual(tags.snapshot.commit.subject, 'Records update 2');
+  assert.strictEqual(tags.snapshot.protected, false);
+  assert.strictEqual(tags.snapshot.behindBy, 0);
+
+  assert.strictEqual(tags['readme-tree'].commit, null);
+  assert.strictEqual(tags['readme-tree'].aheadBy, null);
+
+  const branches = await server.request('GET', '/api/mgit/repos/records/branches', { token });
+  const draft = branches.data.branches.find(branch => branch.name === 'draft');
+  assert.strictEqual(draft.behindBy, 1);
+});
+
+test('protected tags cannot be deleted', async () => {
+  const res = await server.request('DELETE', '/api/mgit/repos/records/tags/v1.0', { token });
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual((await server.request('DELETE', '/api/mgit/repos/records/tags/snapshot', { token })).status, 200);
+});
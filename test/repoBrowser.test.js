@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const repoBrowser = require('../repoBrowser');
+
+// Bare repository holding a single blob of the given content
+function repositoryWithBlob(content) {
+  const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mgit-blob-'));
+  execFileSync('git', ['init', '-q', '--bare', repoPath]);
+  const sha = execFileSync('git', ['hash-object', '-w', '--stdin'], { cwd: repoPath, input: content }).toString().trim();
+  return { repoPath, sha };
+}
+
+// Reads a stream slowly, so later chunks queue up behind the transform
+async function readSlowly(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return Buffer.concat(chunks);
+}
+
+test('createBlobStream truncates a blob larger than the range', async () => {
+  const content = Buffer.alloc(4 * 1024 * 1024, 'abcdefghij');
+  const { repoPath, sha } = repositoryWithBlob(content);
+  try {
+    const head = await readSlowly(repoBrowser.createBlobStream(repoPath, sha, { start: 0, end: 99 }));
+    assert.deepStrictEqual(head, content.subarray(0, 100));
+
+    const middle = await readSlowly(repoBrowser.createBlobStream(repoPath, sha, { start: 70000, end: 200000 }));
+    assert.deepStrictEqual(middle, content.subarray(70000, 200001));
+  } finally {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  }
+});
+
+test('createBlobStream streams a whole blob without a range', async () => {
+  const content = Buffer.from('hello\n');
+  const { repoPath, sha } = repositoryWithBlob(content);
+  try {
+    assert.deepStrictEqual(await readSlowly(repoBrowser.createBlobStream(repoPath, sha)), content);
+  } finally {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tokenRevocation = require('../tokenRevocation');
+
+test('revocations are written in the background and survive a reload', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mgit-revocations-'));
+  const filePath = path.join(dir, 'token-revocations.json');
+  try {
+    tokenRevocation.load(filePath);
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    tokenRevocation.revokeToken('a', exp);
+    tokenRevocation.revokeToken('b', exp);
+    tokenRevocation.revokePubkey('f'.repeat(64));
+
+    // Nothing is written on the request path
+    assert.strictEqual(fs.existsSync(filePath), false);
+
+    await tokenRevocation.flush();
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.deepStrictEqual(Object.keys(data.revokedTokens), ['a', 'b']);
+    assert.strictEqual(data.pubkeyRevisions['f'.repeat(64)], 1);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['token-revocations.json']);
+
+    assert.ok(tokenRevocation.isRevoked({ jti: 'a' }));
+    assert.ok(tokenRevocation.isRevoked({ pubkey: 'f'.repeat(64), rev: 0 }));
+    assert.ok(!tokenRevocation.isRevoked({ pubkey: 'f'.repeat(64), rev: 1 }));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
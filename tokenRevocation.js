@@ -0,0 +1,188 @@
+// tokenRevocation.js - Server-side revocation list for issued JWTs
+// Kept in memory and written to a JSON file shortly after each change, so revocations survive restarts
+const fs = require('fs');
+const { writeJsonFileAsync } = require('./repoStore');
+
+// Milliseconds changes wait before being written, so a burst of refreshes and logouts costs one write
+const PERSIST_DELAY = 200;
+
+// Revoked token ids, mapped to the token's own expiry (unix seconds)
+const revokedTokens = new Map();
+
+// Per-pubkey revocation counters. Tokens carry the counter value current when
+// they were issued; bumping it invalidates every token issued before.
+const pubkeyRevisions = new Map();
+
+// The same counters per authorized_keys entry, keyed "repoId key". Repository tokens record the
+// entry they were issued through, so revoking one needs no NIP-05 lookup to find its pubkeys.
+const keyRevisions = new Map();
+
+// File the revocations are persisted to, once load() has been called
+let storePath = null;
+
+// Pending write timer, and the last write started, which the next one waits for
+let persistTimer = null;
+let lastWrite = Promise.resolve();
+
+/**
+ * Writes the current revocation list and counters to the store file
+ * @returns {Promise<void>} - Resolves once written; failures are logged, not thrown
+ */
+function writeStore() {
+  return writeJsonFileAsync(storePath, {
+    revokedTokens: Object.fromEntries(revokedTokens),
+    pubkeyRevisions: Object.fromEntries(pubkeyRevisions),
+    keyRevisions: Object.fromEntries(keyRevisions)
+  }).catch((err) => {
+    console.error(`Failed to write token revocations to ${storePath}: ${err.message}`);
+  });
+}
+
+/**
+ * Schedules a write of the store file. Changes made before it runs are written together,
+ * and writes never overlap.
+ */
+function persist() {
+  if (!storePath || persistTimer) {
+    return;
+  }
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    lastWrite = lastWrite.then(writeStore);
+  }, PERSIST_DELAY);
+}
+
+/**
+ * Writes any scheduled change right away
+ * @returns {Promise<void>} - Resolves once the store file is up to date
+ */
+function flush() {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    lastWrite = lastWrite.then(writeStore);
+  }
+  return lastWrite;
+}
+
+/**
+ * Loads persisted revocations and keeps writing changes back to the same file.
+ * A missing file starts an empty list; an unreadable one throws, since carrying on
+ * without it would make revoked tokens valid again.
+ * @param {string} filePath - Path to the JSON store file
+ */
+function load(filePath) {
+  storePath = filePath;
+  if (!fs.existsSync(filePath)) {
+    return;
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  Object.entries(data.revokedTokens || {}).forEach(([jti, exp]) => revokedTokens.set(jti, exp));
+  Object.entries(data.pubkeyRevisions || {}).forEach(([pubkey, revision]) => pubkeyRevisions.set(pubkey, revision));
+  Object.entries(data.keyRevisions || {}).forEach(([id, revision]) => keyRevisions.set(id, revision));
+  sweepRevokedTokens();
+  console.log(`Loaded ${revokedTokens.size} revoked tokens, ${pubkeyRevisions.size} pubkey and ${keyRevisions.size} key revocations from ${filePath}`);
+}
+
+/**
+ * Gets the current revocation counter for a pubkey
+ * @param {string} pubkey - Hex public key
+ * @returns {number} - Revision to embed in newly issued tokens
+ */
+function currentRevision(pubkey) {
+  return pubkeyRevisions.get(pubkey) || 0;
+}
+
+/**
+ * Revokes a single token by its id
+ * @param {string} jti - Token id
+ * @param {number} exp - Token expiry in unix seconds, after which the entry can be dropped
+ */
+function revokeToken(jti, exp) {
+  if (jti) {
+    revokedTokens.set(jti, exp || Math.floor(Date.now() / 1000) + 24 * 60 * 60);
+    persist();
+  }
+}
+
+/**
+ * Revokes every token issued to a pubkey so far
+ * @param {string} pubkey - Hex public key
+ */
+function revokePubkey(pubkey) {
+  pubkeyRevisions.set(pubkey, currentRevision(pubkey) + 1);
+  persist();
+}
+
+/**
+ * Gets the current revocation counter of an authorized_keys entry
+ * @param {string} repoId - Repository ID
+ * @param {string} key - The entry's pubkey as configured (npub or NIP-05 identifier)
+ * @returns {number} - Counter value to embed in newly issued tokens
+ */
+function currentKeyRevision(repoId, key) {
+  return keyRevisions.get(`${repoId} ${key}`) || 0;
+}
+
+/**
+ * Revokes every repository token issued through an authorized_keys entry so far
+ * @param {string} repoId - Repository ID
+ * @param {string} key - The entry's pubkey as configured (npub or NIP-05 identifier)
+ */
+function revokeKey(repoId, key) {
+  keyRevisions.set(`${repoId} ${key}`, currentKeyRevision(repoId, key) + 1);
+  persist();
+}
+
+/**
+ * Checks whether a decoded token has been revoked
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {boolean} - True if the token must be rejected
+ */
+function isRevoked(decoded) {
+  if (decoded.jti && revokedTokens.has(decoded.jti)) {
+    return true;
+  }
+
+  // Grant tokens are revoked through their grant. A repository token that does not name its
+  // entry cannot be matched against key revocations, so it is refused rather than trusted.
+  if (decoded.repoId !== undefined && !decoded.grantId) {
+    if (decoded.key === undefined || (decoded.keyRev || 0) < currentKeyRevision(decoded.repoId, decoded.key)) {
+      return true;
+    }
+  }
+
+  return decoded.pubkey !== undefined && (decoded.rev || 0) < currentRevision(decoded.pubkey);
+}
+
+/**
+ * Drops revoked token ids whose tokens have expired anyway
+ */
+function sweepRevokedTokens() {
+  const now = Math.floor(Date.now() / 1000);
+  let swept = 0;
+  for (const [jti, exp] of revokedTokens) {
+    if (exp < now) {
+      revokedTokens.delete(jti);
+      swept++;
+    }
+  }
+  if (swept > 0) {
+    persist();
+  }
+}
+
+setInterval(sweepRevokedTokens, 10 * 60 * 1000).unref();
+
+module.exports = {
+  load,
+  flush,
+  currentRevision,
+  revokeToken,
+  revokePubkey,
+  currentKeyRevision,
+  revokeKey,
+  isRevoked,
+  sweepRevokedTokens
+};